@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { VARIANT_SIZES, VARIANT_FORMATS, canResize, readDimensions, renderVariant, analyzeImage } = require('./images');
+
+// Uploaded images are stored once, keyed by a hash of their content. Mockup
+// data only keeps the asset ID; the browser loads the bytes from /assets/:id,
+// optionally as a resized variant (/assets/:id?size=thumbnail).
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif'
+};
+
+const ASSET_ID_PATTERN = /^[a-f0-9]{32}$/;
+const DATA_URL_PATTERN = /^data:(image\/[\w.+-]+);base64,(.+)$/;
+
+function isVariantSize(size) {
+    return Object.prototype.hasOwnProperty.call(VARIANT_SIZES, size);
+}
+
+function isSupportedType(mimeType) {
+    return Object.prototype.hasOwnProperty.call(MIME_EXTENSIONS, mimeType);
+}
+
+function isAssetId(value) {
+    return typeof value === 'string' && ASSET_ID_PATTERN.test(value);
+}
+
+function parseDataUrl(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.match(DATA_URL_PATTERN);
+    if (!match) return null;
+    return { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') };
+}
+
+function createAssetService({ storage, blobs }) {
+    // Saves in progress by asset ID, so the same image uploaded twice at once
+    // is only processed once
+    const pending = new Map();
+
+    function blobKey(asset) {
+        return `${asset.id}.${MIME_EXTENSIONS[asset.mime_type]}`;
+    }
+
+    function variantKey(asset, size, format) {
+        return `${asset.id}-${size}.${VARIANT_FORMATS[format].extension}`;
+    }
+
+    async function storeVariant(asset, original, size, format) {
+        const buffer = await renderVariant(original, size, format);
+        await blobs.put(variantKey(asset, size, format), buffer, VARIANT_FORMATS[format].mimeType);
+        return buffer;
+    }
+
+    // Saves an image and returns its asset row. Identical bytes always map to
+    // the same asset, so re-uploading an image costs nothing.
+    async function saveAsset(buffer, mimeType, userId) {
+        if (!isSupportedType(mimeType)) {
+            throw new Error(`Unsupported image type: ${mimeType}`);
+        }
+
+        const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+        if (!pending.has(id)) {
+            pending.set(id, storeAsset(id, buffer, mimeType, userId).finally(() => pending.delete(id)));
+        }
+        return pending.get(id);
+    }
+
+    async function storeAsset(id, buffer, mimeType, userId) {
+        const existing = await storage.findOne('assets', { id });
+        if (existing) return existing;
+
+        const { width, height } = await readDimensions(buffer);
+        const asset = {
+            id,
+            mime_type: mimeType,
+            size: buffer.length,
+            width,
+            height,
+            analysis: await analyzeImage(buffer),
+            user_id: userId || null
+        };
+        await blobs.put(blobKey(asset), buffer, mimeType);
+
+        // Render every size up front so browsing never waits on a resize
+        if (canResize(mimeType)) {
+            for (const size of Object.keys(VARIANT_SIZES)) {
+                for (const format of Object.keys(VARIANT_FORMATS)) {
+                    await storeVariant(asset, buffer, size, format);
+                }
+            }
+        }
+
+        // Another server instance may have stored the same image meanwhile;
+        // its row describes the same bytes, so either one will do
+        return storage.insertIgnore('assets', asset);
+    }
+
+    // Returns { asset, buffer, mimeType }. Without a size (or for images that
+    // can't be resized) this is the original upload.
+    async function getAsset(id, { size, format = 'webp' } = {}) {
+        if (!isAssetId(id)) return null;
+        const asset = await storage.findOne('assets', { id });
+        if (!asset) return null;
+
+        if (!size || !isVariantSize(size) || !canResize(asset.mime_type)) {
+            const original = await blobs.get(blobKey(asset));
+            return original ? { asset, buffer: original, mimeType: asset.mime_type } : null;
+        }
+
+        const outputFormat = Object.hasOwn(VARIANT_FORMATS, format) ? format : 'webp';
+        let buffer = await blobs.get(variantKey(asset, size, outputFormat));
+
+        // Assets uploaded before variants existed get them on first request
+        if (!buffer) {
+            const original = await blobs.get(blobKey(asset));
+            if (!original) return null;
+            buffer = await storeVariant(asset, original, size, outputFormat);
+        }
+
+        return { asset, buffer, mimeType: VARIANT_FORMATS[outputFormat].mimeType };
+    }
+
+    // Returns the asset row with its image analysis (see analyzeImage), or
+    // null. Assets uploaded before analysis existed are measured on first use.
+    async function getAnalyzedAsset(id) {
+        if (!isAssetId(id)) return null;
+        const asset = await storage.findOne('assets', { id });
+        if (!asset || asset.analysis) return asset;
+
+        const original = await blobs.get(blobKey(asset));
+        if (!original) return null;
+        const analysis = await analyzeImage(original);
+        await storage.update('assets', { id }, { analysis });
+        return { ...asset, analysis };
+    }
+
+    async function internalizeImage(value, userId) {
+        const parsed = parseDataUrl(value);
+        if (!parsed || !isSupportedType(parsed.mimeType)) return value;
+        const asset = await saveAsset(parsed.buffer, parsed.mimeType, userId);
+        return asset.id;
+    }
+
+    // Replaces inline base64 images in mockup data with asset IDs. Older
+    // mockups and clients still send data URLs; they are moved into the
+    // asset store the first time they are saved.
+    async function internalizeImages(data, userId) {
+        if (!data || typeof data !== 'object') return data;
+        const result = { ...data };
+        for (const field of ['images', 'brandImages']) {
+            if (Array.isArray(data[field])) {
+                // The same image can appear more than once; save it once
+                const unique = [...new Set(data[field])];
+                const ids = await Promise.all(unique.map(img => internalizeImage(img, userId)));
+                const idFor = new Map(unique.map((img, i) => [img, ids[i]]));
+                result[field] = data[field].map(img => idFor.get(img));
+            }
+        }
+        return result;
+    }
+
+    return { saveAsset, getAsset, getAnalyzedAsset, internalizeImages };
+}
+
+module.exports = { createAssetService, isAssetId, isSupportedType, isVariantSize, parseDataUrl };
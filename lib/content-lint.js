@@ -0,0 +1,334 @@
+// Checks listing copy (typed or AI generated) against Walmart content
+// guidelines. Each rule reports issues against a field, and bullet issues
+// also carry the bullet's index. The score starts at 100 and loses
+// SEVERITY_PENALTY points per issue.
+//
+// Workspaces can switch rules off, change their severity and tune their
+// options; what is stored is only the difference from the defaults, so
+// later changes to a default still reach workspaces that never touched it.
+// Listings made for another retailer template are held to that retailer's
+// field limits (lib/retailers.js) unless the workspace overrides them.
+
+const { getRetailer } = require('./retailers');
+
+const SEVERITIES = ['error', 'warning'];
+const SEVERITY_PENALTY = { error: 15, warning: 5 };
+
+const MAX_WORDS = 200;
+const MAX_WORD_LENGTH = 60;
+
+const LIST_FIELDS = ['bullets', 'detailsBullets'];
+// Fields checked for wording and formatting
+const COPY_FIELDS = ['title', 'bullets', 'detailsBullets', 'fullDescription'];
+const FIELD_LABELS = {
+    brand: 'Brand',
+    title: 'Title',
+    price: 'Price',
+    packSize: 'Pack size',
+    ingredients: 'Ingredients',
+    bullets: 'About this item',
+    detailsBullets: 'Product details',
+    fullDescription: 'Description'
+};
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+const PRICE_PATTERN = /^\d+(\.\d{2})?$/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function cleanList(value) {
+    return (Array.isArray(value) ? value : []).map(item => String(item ?? '').trim()).filter(Boolean);
+}
+
+// [{ field, index, text }] for the given fields, one entry per bullet
+function copyEntries(data, fields) {
+    return fields.flatMap(field => LIST_FIELDS.includes(field)
+        ? cleanList(data[field]).map((text, index) => ({ field, index, text }))
+        : [{ field, index: null, text: String(data[field] ?? '').trim() }]);
+}
+
+function where(entry) {
+    return entry.index === null ? FIELD_LABELS[entry.field] : `${FIELD_LABELS[entry.field]} bullet ${entry.index + 1}`;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function countSentences(text) {
+    return (text.match(/[^.!?]+[.!?]+(\s|$)/g) || []).length || (text ? 1 : 0);
+}
+
+// Each check returns [{ field, index, message }]
+const LINT_RULES = {
+    titleLength: {
+        label: 'Title length',
+        description: 'Titles should fit search results without being cut off',
+        defaults: { min: 50, max: 75 },
+        check(data, { min, max }) {
+            const title = String(data.title ?? '').trim();
+            if (!title) return [{ field: 'title', index: null, message: 'Title is missing' }];
+            if (title.length < min) return [{ field: 'title', index: null, message: `Title is ${plural(title.length, 'character')}; aim for at least ${min}` }];
+            if (title.length > max) return [{ field: 'title', index: null, message: `Title is ${plural(title.length, 'character')}; keep it to ${max}` }];
+            return [];
+        }
+    },
+    bulletCount: {
+        label: 'Number of key features',
+        description: 'How many "About this item" bullets a listing should have',
+        defaults: { min: 4, max: 10 },
+        check(data, { min, max }) {
+            const count = cleanList(data.bullets).length;
+            if (count < min) return [{ field: 'bullets', index: null, message: `${plural(count, 'key feature')}; add at least ${min}` }];
+            if (count > max) return [{ field: 'bullets', index: null, message: `${count} key features; use at most ${max}` }];
+            return [];
+        }
+    },
+    bulletLength: {
+        label: 'Key feature length',
+        description: 'Each "About this item" bullet should be a readable phrase, not a word or a paragraph',
+        defaults: { min: 10, max: 150 },
+        check(data, { min, max }) {
+            return copyEntries(data, ['bullets']).flatMap(({ field, index, text }) => {
+                const entry = { field, index };
+                if (text.length < min) return [{ ...entry, message: `${where(entry)} is only ${plural(text.length, 'character')}` }];
+                if (text.length > max) return [{ ...entry, message: `${where(entry)} is ${plural(text.length, 'character')}; keep it to ${max}` }];
+                return [];
+            });
+        }
+    },
+    descriptionLength: {
+        label: 'Description length',
+        description: 'Number of sentences in the description',
+        defaults: { min: 2, max: 3 },
+        check(data, { min, max }) {
+            const description = String(data.fullDescription ?? '').trim();
+            if (!description) return [{ field: 'fullDescription', index: null, message: 'Description is missing' }];
+            const sentences = countSentences(description);
+            if (sentences < min) return [{ field: 'fullDescription', index: null, message: `Description has ${plural(sentences, 'sentence')}; aim for ${min}-${max}` }];
+            if (sentences > max) return [{ field: 'fullDescription', index: null, message: `Description has ${plural(sentences, 'sentence')}; aim for ${min}-${max}` }];
+            return [];
+        }
+    },
+    prohibitedWords: {
+        label: 'Prohibited claims and words',
+        description: 'Promotional, pricing and health claims that Walmart does not allow in listing copy',
+        defaults: {
+            words: [
+                'free shipping', 'sale', 'discount', 'clearance', 'best seller', 'best price', 'lowest price',
+                'cheapest', 'limited time', 'guarantee', 'guaranteed', 'money back', '#1', 'cure', 'cures',
+                'treats', 'prevents disease', 'FDA approved', 'clinically proven', 'doctor recommended', 'miracle'
+            ]
+        },
+        check(data, { words }) {
+            const issues = [];
+            for (const entry of copyEntries(data, COPY_FIELDS)) {
+                const found = words.filter(word =>
+                    new RegExp(`(?<![\\w])${escapeRegExp(word)}(?![\\w])`, 'i').test(entry.text));
+                if (found.length) {
+                    issues.push({ field: entry.field, index: entry.index, message: `${where(entry)} uses ${found.map(w => `"${w}"`).join(', ')}` });
+                }
+            }
+            return issues;
+        }
+    },
+    allCaps: {
+        label: 'ALL CAPS',
+        description: 'Words of four or more letters written in capitals, apart from the allowed acronyms',
+        defaults: { allowed: ['USDA', 'HDMI', 'BPA-FREE', 'NSF', 'SPF', 'LED', 'USB', 'UPC', 'GMO', 'NON-GMO'] },
+        check(data, { allowed }) {
+            const ok = new Set(allowed.map(word => word.toUpperCase()));
+            const issues = [];
+            for (const entry of copyEntries(data, COPY_FIELDS)) {
+                const shouted = (entry.text.match(/[\p{L}][\p{L}'-]*/gu) || [])
+                    .filter(word => word.replace(/[^\p{L}]/gu, '').length >= 4 && word === word.toUpperCase() && word !== word.toLowerCase())
+                    .filter(word => !ok.has(word));
+                if (shouted.length) {
+                    issues.push({ field: entry.field, index: entry.index, message: `${where(entry)} has ALL CAPS: ${[...new Set(shouted)].slice(0, 5).join(', ')}` });
+                }
+            }
+            return issues;
+        }
+    },
+    emoji: {
+        label: 'Emoji',
+        description: 'Emoji and pictographs are not allowed anywhere in the listing',
+        defaults: {},
+        check(data) {
+            return copyEntries(data, ['brand', 'title', 'packSize', 'ingredients', 'bullets', 'detailsBullets', 'fullDescription'])
+                .filter(entry => EMOJI_PATTERN.test(entry.text))
+                .map(entry => ({ field: entry.field, index: entry.index, message: `${where(entry)} contains emoji` }));
+        }
+    },
+    packSize: {
+        label: 'Pack size',
+        description: 'A count or size (e.g. 16 oz, 2 Pack) is required',
+        defaults: {},
+        check(data) {
+            return String(data.packSize ?? '').trim() ? [] : [{ field: 'packSize', index: null, message: 'Pack size is missing' }];
+        }
+    },
+    priceFormat: {
+        label: 'Price format',
+        description: 'Price as a plain number with cents, e.g. 12.97',
+        defaults: {},
+        check(data) {
+            const price = String(data.price ?? '').trim();
+            if (!price) return [{ field: 'price', index: null, message: 'Price is missing' }];
+            if (!PRICE_PATTERN.test(price) || Number(price) <= 0) {
+                return [{ field: 'price', index: null, message: `Price "${price}" should be a number like 12.97` }];
+            }
+            return [];
+        }
+    },
+    duplicateBullets: {
+        label: 'Duplicate bullets',
+        description: 'The same bullet repeated in "About this item" or "Product details"',
+        defaults: {},
+        check(data) {
+            const seen = new Map();
+            const issues = [];
+            for (const entry of copyEntries(data, ['bullets', 'detailsBullets'])) {
+                const key = entry.text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+                if (!key) continue;
+                if (seen.has(key)) {
+                    issues.push({ field: entry.field, index: entry.index, message: `${where(entry)} repeats ${where(seen.get(key))}` });
+                } else {
+                    seen.set(key, entry);
+                }
+            }
+            return issues;
+        }
+    }
+};
+
+// Default severity per rule; everything else starts as a warning
+const DEFAULT_SEVERITIES = { prohibitedWords: 'error', emoji: 'error', priceFormat: 'error' };
+
+// Rule maximums that come from a retailer's field limits: [field, setting]
+const RETAILER_LIMITS = {
+    titleLength: ['title', 'maxLength'],
+    bulletCount: ['bullets', 'maxItems'],
+    bulletLength: ['bullets', 'maxLength']
+};
+
+function retailerLimits(retailerId) {
+    const { fields } = getRetailer(retailerId);
+    const limits = {};
+    for (const [id, [field, setting]] of Object.entries(RETAILER_LIMITS)) {
+        const max = fields[field]?.[setting];
+        if (max !== undefined) limits[id] = { max };
+    }
+    return limits;
+}
+
+// The effective settings of every rule: { [id]: { enabled, severity, ...options } }.
+// Without a retailer the limits are Walmart's, which the defaults are.
+function resolveLintRules(overrides = {}, retailerId = null) {
+    const limits = retailerLimits(retailerId);
+    const rules = {};
+    for (const [id, rule] of Object.entries(LINT_RULES)) {
+        rules[id] = {
+            enabled: true,
+            severity: DEFAULT_SEVERITIES[id] || 'warning',
+            ...rule.defaults,
+            ...(limits[id] || {}),
+            ...(overrides?.[id] || {})
+        };
+    }
+    return rules;
+}
+
+// Rules with their labels and effective settings, for the settings screen
+function describeLintRules(overrides) {
+    const rules = resolveLintRules(overrides);
+    return Object.entries(LINT_RULES).map(([id, rule]) => ({
+        id,
+        label: rule.label,
+        description: rule.description,
+        options: Object.keys(rule.defaults),
+        ...rules[id]
+    }));
+}
+
+function parseWordList(value, position) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[\n,]/);
+    const words = [...new Set(list.map(w => String(w ?? '').trim()).filter(Boolean))];
+    if (words.length > MAX_WORDS || words.some(w => w.length > MAX_WORD_LENGTH)) {
+        return { error: `${position}: use at most ${MAX_WORDS} entries of up to ${MAX_WORD_LENGTH} characters` };
+    }
+    return { words };
+}
+
+// Checks rule settings from the settings screen and keeps only what differs
+// from the defaults. Returns { error } or { overrides }.
+function parseLintRules(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Rules must be an object keyed by rule' };
+    }
+
+    const defaults = resolveLintRules();
+    const overrides = {};
+    for (const [id, settings] of Object.entries(input)) {
+        const rule = LINT_RULES[id];
+        if (!rule) return { error: `Unknown rule: ${id}` };
+        if (!settings || typeof settings !== 'object') continue;
+
+        const override = {};
+        if (settings.enabled !== undefined) override.enabled = !!settings.enabled;
+        if (settings.severity !== undefined) {
+            if (!SEVERITIES.includes(settings.severity)) {
+                return { error: `${rule.label}: severity must be one of ${SEVERITIES.join(', ')}` };
+            }
+            override.severity = settings.severity;
+        }
+        for (const key of ['min', 'max']) {
+            if (settings[key] === undefined || !(key in rule.defaults)) continue;
+            const value = Number(settings[key]);
+            if (!Number.isInteger(value) || value < 0 || value > 10000) {
+                return { error: `${rule.label}: ${key} must be a whole number` };
+            }
+            override[key] = value;
+        }
+        for (const key of ['words', 'allowed']) {
+            if (settings[key] === undefined || !(key in rule.defaults)) continue;
+            const parsed = parseWordList(settings[key], rule.label);
+            if (parsed.error) return parsed;
+            override[key] = parsed.words;
+        }
+
+        const merged = { ...defaults[id], ...override };
+        if ('min' in merged && merged.min > merged.max) {
+            return { error: `${rule.label}: min can't be more than max` };
+        }
+
+        const changed = Object.fromEntries(Object.entries(override)
+            .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[id][key])));
+        if (Object.keys(changed).length) overrides[id] = changed;
+    }
+    return { overrides };
+}
+
+// Runs every enabled rule over mockup data, with the limits of the retailer
+// in data.retailer.
+// Returns { score, errors, warnings, issues: [{ rule, severity, field, index, message }] }
+function lintListing(data, overrides) {
+    const rules = resolveLintRules(overrides, data?.retailer);
+    const issues = [];
+    for (const [id, rule] of Object.entries(LINT_RULES)) {
+        const settings = rules[id];
+        if (!settings.enabled) continue;
+        for (const issue of rule.check(data || {}, settings)) {
+            issues.push({ rule: id, severity: settings.severity, ...issue });
+        }
+    }
+
+    const errors = issues.filter(i => i.severity === 'error').length;
+    const warnings = issues.length - errors;
+    const score = Math.max(0, 100 - errors * SEVERITY_PENALTY.error - warnings * SEVERITY_PENALTY.warning);
+    return { score, errors, warnings, issues };
+}
+
+module.exports = { lintListing, resolveLintRules, describeLintRules, parseLintRules };
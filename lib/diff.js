@@ -0,0 +1,215 @@
+// Field-by-field comparison of two versions of a mockup's data, used by the
+// version diff endpoint. Text is diffed word by word so the UI can highlight
+// exactly what changed inline; bullet lists are diffed item by item; images
+// are compared by reference (asset ID or legacy data URL).
+
+const { getRetailer } = require('./retailers');
+
+const TEXT_FIELDS = [
+    { field: 'retailer', label: 'Retailer template' },
+    { field: 'title', label: 'Title' },
+    { field: 'brand', label: 'Brand' },
+    { field: 'price', label: 'Price' },
+    { field: 'packSize', label: 'Pack size' },
+    { field: 'ingredients', label: 'Ingredients' },
+    { field: 'fullDescription', label: 'Full description' }
+];
+
+const LIST_FIELDS = [
+    { field: 'bullets', label: 'About this item' },
+    { field: 'detailsBullets', label: 'Product details' }
+];
+
+// Building the table costs (n+1)×(m+1) cells, so past this many tokens
+// (after trimming what both sides share at the start and end) the rest is
+// reported as one delete and one insert instead
+const MAX_DIFF_TOKENS = 2000;
+
+// Longest-common-subsequence table over two arrays, walked back into
+// [{ type: 'equal' | 'insert' | 'delete', value }]
+function diffLcs(before, after, equals) {
+    const rows = before.length;
+    const cols = after.length;
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i][j] = equals(before[i], after[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (equals(before[i], after[j])) {
+            ops.push({ type: 'equal', value: after[j] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ops.push({ type: 'delete', value: before[i++] });
+        } else {
+            ops.push({ type: 'insert', value: after[j++] });
+        }
+    }
+    while (i < rows) ops.push({ type: 'delete', value: before[i++] });
+    while (j < cols) ops.push({ type: 'insert', value: after[j++] });
+    return ops;
+}
+
+function diffSequences(before, after, equals = (a, b) => a === b) {
+    let start = 0;
+    while (start < before.length && start < after.length && equals(before[start], after[start])) start++;
+    let end = 0;
+    while (end < before.length - start && end < after.length - start &&
+        equals(before[before.length - 1 - end], after[after.length - 1 - end])) end++;
+
+    const middleBefore = before.slice(start, before.length - end);
+    const middleAfter = after.slice(start, after.length - end);
+    const middle = middleBefore.length + middleAfter.length > MAX_DIFF_TOKENS
+        ? [
+            ...middleBefore.map(value => ({ type: 'delete', value })),
+            ...middleAfter.map(value => ({ type: 'insert', value }))
+        ]
+        : diffLcs(middleBefore, middleAfter, equals);
+
+    return [
+        ...after.slice(0, start).map(value => ({ type: 'equal', value })),
+        ...middle,
+        ...after.slice(after.length - end).map(value => ({ type: 'equal', value }))
+    ];
+}
+
+// Splits on word boundaries but keeps the whitespace, so joining the
+// segments back together reproduces the original text
+function tokenize(text) {
+    return String(text ?? '').match(/\s+|[^\s]+/g) || [];
+}
+
+// Returns [{ type, text }] with neighbouring segments of the same type merged
+function diffText(before, after) {
+    const segments = [];
+    for (const op of diffSequences(tokenize(before), tokenize(after))) {
+        const last = segments[segments.length - 1];
+        if (last && last.type === op.type) {
+            last.text += op.value;
+        } else {
+            segments.push({ type: op.type, text: op.value });
+        }
+    }
+    return segments;
+}
+
+function cleanList(value) {
+    return (Array.isArray(value) ? value : [])
+        .map(item => String(item ?? '').trim())
+        .filter(Boolean);
+}
+
+// Item-level diff. Within each run of removed and added items, they are
+// paired up in order and reported as "changed" items with an inline text diff.
+function diffList(before, after) {
+    const items = [];
+    let deleted = [];
+    let inserted = [];
+
+    function flush() {
+        const paired = Math.min(deleted.length, inserted.length);
+        for (let k = 0; k < paired; k++) {
+            items.push({ type: 'changed', segments: diffText(deleted[k], inserted[k]) });
+        }
+        deleted.slice(paired).forEach(text => items.push({ type: 'delete', text }));
+        inserted.slice(paired).forEach(text => items.push({ type: 'insert', text }));
+        deleted = [];
+        inserted = [];
+    }
+
+    for (const op of diffSequences(cleanList(before), cleanList(after))) {
+        if (op.type === 'delete') {
+            deleted.push(op.value);
+        } else if (op.type === 'insert') {
+            inserted.push(op.value);
+        } else {
+            flush();
+            items.push({ type: 'equal', text: op.value });
+        }
+    }
+    flush();
+    return items;
+}
+
+// Reports each image as unchanged, moved (same image, new position), added
+// or removed, with its index in each version
+function diffImages(before, after) {
+    const beforeList = Array.isArray(before) ? before : [];
+    const afterList = Array.isArray(after) ? after : [];
+
+    // First position of each image, so long lists aren't searched per image
+    const beforeIndexes = new Map();
+    beforeList.forEach((ref, index) => {
+        if (!beforeIndexes.has(ref)) beforeIndexes.set(ref, index);
+    });
+    const afterRefs = new Set(afterList);
+
+    const images = afterList.map((ref, index) => {
+        const beforeIndex = beforeIndexes.get(ref) ?? -1;
+        if (beforeIndex === -1) return { type: 'added', ref, afterIndex: index, beforeIndex: null };
+        return {
+            type: beforeIndex === index ? 'unchanged' : 'moved',
+            ref,
+            beforeIndex,
+            afterIndex: index
+        };
+    });
+
+    beforeList.forEach((ref, index) => {
+        if (!afterRefs.has(ref)) images.push({ type: 'removed', ref, beforeIndex: index, afterIndex: null });
+    });
+
+    return images;
+}
+
+function diffMockupData(before = {}, after = {}) {
+    const fields = [];
+    // Compared by name, so a mockup without one reads as Walmart
+    before = { ...before, retailer: getRetailer(before.retailer).name };
+    after = { ...after, retailer: getRetailer(after.retailer).name };
+
+    for (const { field, label } of TEXT_FIELDS) {
+        const changed = String(before[field] ?? '') !== String(after[field] ?? '');
+        fields.push({
+            field,
+            label,
+            kind: 'text',
+            changed,
+            segments: changed ? diffText(before[field], after[field]) : [{ type: 'equal', text: String(after[field] ?? '') }]
+        });
+    }
+
+    for (const { field, label } of LIST_FIELDS) {
+        const items = diffList(before[field], after[field]);
+        fields.push({
+            field,
+            label,
+            kind: 'list',
+            changed: items.some(item => item.type !== 'equal'),
+            items
+        });
+    }
+
+    const images = diffImages(before.images, after.images);
+    const brandImages = diffImages(before.brandImages, after.brandImages);
+
+    return {
+        fields,
+        images,
+        brandImages,
+        changedCount: fields.filter(f => f.changed).length +
+            (images.some(i => i.type !== 'unchanged') ? 1 : 0) +
+            (brandImages.some(i => i.type !== 'unchanged') ? 1 : 0)
+    };
+}
+
+module.exports = { diffMockupData, diffText, diffList, diffImages, MAX_DIFF_TOKENS };
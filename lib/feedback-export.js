@@ -0,0 +1,126 @@
+const { toCsv } = require('./spreadsheet');
+const { escapeHtml } = require('./html');
+
+// Feedback exports for handing comments to copywriters and clients outside
+// the app. Both formats take the same input: a list of versions, each with
+// the comments made on it (formatted as by the comments API, plus an
+// optional `crop` data URL of the pinned region).
+//
+// [{ versionNumber, archived, comments: [...] }]
+
+const STATUS_LABELS = {
+    open: 'Open',
+    in_progress: 'In progress',
+    needs_confirmation: 'Needs client confirmation',
+    resolved: 'Resolved',
+    wont_fix: "Won't fix"
+};
+
+const CSV_COLUMNS = [
+    { header: 'Version', value: (c, v) => v.versionNumber },
+    { header: 'Comment ID', value: c => c.id },
+    { header: 'Author', value: c => c.author },
+    { header: 'Status', value: c => STATUS_LABELS[c.status] || c.status },
+    { header: 'Priority', value: c => c.priority },
+    { header: 'Category', value: c => c.category },
+    { header: 'Assignee', value: c => c.assignee?.name },
+    { header: 'Comment', value: c => c.comment },
+    { header: 'Replies', value: c => c.replies.map(r => `${r.author}: ${r.body}`).join('\n') },
+    { header: 'Image', value: c => (c.imageIndex ?? null) === null ? '' : c.imageIndex + 1 },
+    { header: 'Region (x, y, width, height %)', value: c => formatRegion(c.imageRegion) },
+    { header: 'Carried from version', value: c => c.carriedFromVersion },
+    { header: 'Created at', value: c => c.createdAt },
+    { header: 'Updated at', value: c => c.updatedAt }
+];
+
+function formatRegion(region) {
+    if (!region) return '';
+    return [region.x, region.y, region.width, region.height].map(n => Math.round(n * 10) / 10).join(', ');
+}
+
+function feedbackToCsv(versions) {
+    const rows = [CSV_COLUMNS.map(col => col.header)];
+    for (const version of versions) {
+        for (const comment of version.comments) {
+            rows.push(CSV_COLUMNS.map(col => col.value(comment, version)));
+        }
+    }
+    return toCsv(rows);
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : '';
+}
+
+function renderComment(comment, number) {
+    const details = [
+        comment.priority !== 'normal' ? `${comment.priority} priority` : null,
+        comment.category,
+        comment.assignee?.name ? `assigned to ${comment.assignee.name}` : null,
+        comment.carriedFromVersion ? `carried from v${comment.carriedFromVersion}` : null
+    ].filter(Boolean);
+
+    const image = comment.crop
+        ? `<img class="crop" src="${comment.crop}" alt="Pinned region">`
+        : '<div class="crop crop-missing">No image region</div>';
+
+    const replies = comment.replies.map(r => `
+            <div class="reply"><strong>${escapeHtml(r.author)}</strong> <span class="date">${formatDate(r.createdAt)}</span><br>${escapeHtml(r.body)}</div>`).join('');
+
+    return `
+        <div class="comment">
+            ${image}
+            <div class="body">
+                <div class="head"><span class="number">#${number}</span> <strong>${escapeHtml(comment.author || 'Anonymous')}</strong>
+                    <span class="date">${formatDate(comment.createdAt)}${comment.imageIndex !== null && comment.imageIndex !== undefined ? ` · Image ${comment.imageIndex + 1}` : ''}</span></div>
+                <div class="meta"><span class="chip status-${escapeHtml(comment.status)}">${escapeHtml(STATUS_LABELS[comment.status] || comment.status)}</span>
+                    ${details.map(d => `<span class="chip">${escapeHtml(d)}</span>`).join(' ')}</div>
+                <p>${escapeHtml(comment.comment)}</p>${replies}
+            </div>
+        </div>`;
+}
+
+// Self-contained printable page: crops are inlined, so it can be saved as a
+// PDF from the browser's print dialog or mailed as a single file
+function feedbackToHtml({ title, exportedAt, versions }) {
+    const sections = versions.map(version => `
+    <section>
+        <h2>Version ${version.versionNumber}${version.archived ? ' (archived)' : ' (current)'} · ${version.comments.length} comment${version.comments.length === 1 ? '' : 's'}</h2>
+        ${version.comments.length ? version.comments.map((c, i) => renderComment(c, i + 1)).join('') : '<p class="empty">No feedback on this version.</p>'}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Feedback report - ${escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; max-width: 900px; margin: 32px auto; padding: 0 24px; font-size: 14px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 16px; border-bottom: 2px solid #0071dc; padding-bottom: 6px; margin-top: 32px; }
+    .subtitle, .date, .empty { color: #666; font-size: 12px; }
+    .comment { display: flex; gap: 16px; padding: 14px 0; border-bottom: 1px solid #e6e6e6; break-inside: avoid; }
+    .crop { width: 180px; max-height: 180px; object-fit: contain; border: 1px solid #ddd; border-radius: 6px; flex-shrink: 0; background: #fafafa; }
+    .crop-missing { height: 60px; display: flex; align-items: center; justify-content: center; color: #999; font-size: 11px; }
+    .body { flex: 1; min-width: 0; }
+    .body p { margin: 8px 0; white-space: pre-wrap; }
+    .number { color: #0071dc; font-weight: 700; }
+    .chip { display: inline-block; background: #f1f1f2; border-radius: 10px; padding: 1px 8px; font-size: 11px; }
+    .chip.status-resolved { background: #e8f5e9; color: #2e7d32; }
+    .chip.status-wont_fix { background: #eceff1; color: #546e7a; }
+    .reply { margin: 6px 0 0 12px; padding-left: 10px; border-left: 3px solid #e6e6e6; white-space: pre-wrap; }
+    .print-btn { position: fixed; top: 16px; right: 16px; padding: 8px 16px; background: #0071dc; color: white; border: none; border-radius: 16px; cursor: pointer; }
+    @media print { .print-btn { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+<h1>${escapeHtml(title)}</h1>
+<div class="subtitle">Feedback report · exported ${formatDate(exportedAt)}</div>
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = { feedbackToCsv, feedbackToHtml };
@@ -0,0 +1,8 @@
+// Escaping for user text placed in HTML the server builds itself: emails
+// and the printable feedback report
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+module.exports = { escapeHtml };
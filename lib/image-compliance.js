@@ -0,0 +1,82 @@
+// Checks product images against Walmart's image requirements: square, at
+// least 1500px on the short edge for zoom, 5MB or less, JPEG or PNG. The
+// main image (the first) must also be on a white background; the others may
+// be lifestyle shots, so they only get the technical checks.
+//
+// Each check is pass, warn or fail; an image takes the worst of its checks.
+
+const MIN_EDGE = 1000;
+const ZOOM_EDGE = 1500;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png'];
+
+// Long edge over short edge
+const SQUARE_TOLERANCE = 1.01;
+const MAIN_ASPECT_LIMIT = 1.05;
+
+// Percent of near-white edge pixels
+const WHITE_BACKGROUND = 95;
+const MOSTLY_WHITE = 75;
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) =>
+        STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst, 'pass');
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
+// image: { mimeType, size, width, height, hasAlpha, whiteBorder }.
+// Returns { status, checks: [{ check, status, message }] }
+function checkImageCompliance(image, { main = false } = {}) {
+    const checks = [];
+    const add = (check, status, message) => checks.push({ check, status, message });
+    const shortEdge = Math.min(image.width, image.height);
+    const aspect = Math.max(image.width, image.height) / shortEdge;
+
+    if (shortEdge < MIN_EDGE) {
+        add('dimensions', 'fail', `${image.width}×${image.height}px is too small; use at least ${ZOOM_EDGE}px per side`);
+    } else if (shortEdge < ZOOM_EDGE) {
+        add('dimensions', 'warn', `${image.width}×${image.height}px is too small for zoom; use at least ${ZOOM_EDGE}px per side`);
+    } else {
+        add('dimensions', 'pass', `${image.width}×${image.height}px`);
+    }
+
+    if (aspect <= SQUARE_TOLERANCE) {
+        add('aspectRatio', 'pass', 'Square');
+    } else {
+        const status = main && aspect > MAIN_ASPECT_LIMIT ? 'fail' : 'warn';
+        add('aspectRatio', status, `Not square (${aspect.toFixed(2)}:1); Walmart shows images at 1:1`);
+    }
+
+    if (image.size > MAX_FILE_SIZE) {
+        add('fileSize', 'fail', `${formatSize(image.size)} is over the ${formatSize(MAX_FILE_SIZE)} limit`);
+    } else {
+        add('fileSize', 'pass', formatSize(image.size));
+    }
+
+    if (ACCEPTED_TYPES.includes(image.mimeType)) {
+        add('format', 'pass', image.mimeType === 'image/png' ? 'PNG' : 'JPEG');
+    } else {
+        add('format', 'fail', `${image.mimeType.replace('image/', '').toUpperCase()} isn't accepted; use JPEG or PNG`);
+    }
+
+    if (main) {
+        if (image.whiteBorder >= WHITE_BACKGROUND) {
+            add('background', 'pass', 'White background');
+        } else {
+            add('background', image.whiteBorder >= MOSTLY_WHITE ? 'warn' : 'fail',
+                `Only ${image.whiteBorder}% of the edges are white; the main image needs a white background`);
+        }
+        if (image.hasAlpha) {
+            add('transparency', 'warn', 'Has transparency; flatten it onto white');
+        }
+    }
+
+    return { status: worstStatus(checks.map(c => c.status)), checks };
+}
+
+module.exports = { checkImageCompliance, worstStatus };
@@ -0,0 +1,99 @@
+const sharp = require('sharp');
+
+// Image processing for uploaded assets (resizing, metadata and analysis)
+
+// Longest edge in pixels for each variant
+const VARIANT_SIZES = {
+    thumbnail: 320,
+    main: 1000,
+    zoom: 2000
+};
+
+const VARIANT_FORMATS = {
+    webp: { mimeType: 'image/webp', extension: 'webp' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' }
+};
+
+// GIFs may be animated, and resizing would keep only the first frame
+function canResize(mimeType) {
+    return mimeType !== 'image/gif';
+}
+
+async function readDimensions(buffer) {
+    const { width, height } = await sharp(buffer).metadata();
+    return { width: width || null, height: height || null };
+}
+
+async function renderVariant(buffer, size, format) {
+    const edge = VARIANT_SIZES[size];
+    // Flatten onto white for JPEG so transparent PNGs don't turn black
+    let pipeline = sharp(buffer)
+        .rotate()
+        .resize(edge, edge, { fit: 'inside', withoutEnlargement: true });
+
+    if (format === 'jpeg') {
+        pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true });
+    } else {
+        pipeline = pipeline.webp({ quality: 80 });
+    }
+    return pipeline.toBuffer();
+}
+
+// Cuts a region out of an image as a JPEG, e.g. the area a comment is pinned
+// to. region is in percent of the image as displayed (after EXIF rotation).
+async function cropRegion(buffer, region, maxEdge = 480) {
+    const { data, info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+    const left = clamp(Math.floor(region.x / 100 * info.width), 0, info.width - 1);
+    const top = clamp(Math.floor(region.y / 100 * info.height), 0, info.height - 1);
+    const width = clamp(Math.ceil(region.width / 100 * info.width), 1, info.width - left);
+    const height = clamp(Math.ceil(region.height / 100 * info.height), 1, info.height - top);
+
+    return sharp(data)
+        .extract({ left, top, width, height })
+        .resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 82 })
+        .toBuffer();
+}
+
+// Channel value from which a pixel counts as white (out of 255)
+const NEAR_WHITE = 240;
+
+// Measures what the image compliance checks need: the size as displayed
+// (after EXIF rotation), whether it has an alpha channel, and whiteBorder,
+// the percentage of pixels in the outer 2% of each edge that are near white.
+// Transparent pixels count as white, as that is how the page shows them.
+async function analyzeImage(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    const rotated = (metadata.orientation || 1) >= 5;
+
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(400, 400, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const band = Math.max(1, Math.round(Math.min(info.width, info.height) * 0.02));
+    let border = 0;
+    let white = 0;
+    for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+            if (x >= band && x < info.width - band && y >= band && y < info.height - band) continue;
+            const offset = (y * info.width + x) * info.channels;
+            border++;
+            if (data[offset] >= NEAR_WHITE && data[offset + 1] >= NEAR_WHITE && data[offset + 2] >= NEAR_WHITE) white++;
+        }
+    }
+
+    return {
+        width: (rotated ? metadata.height : metadata.width) || null,
+        height: (rotated ? metadata.width : metadata.height) || null,
+        hasAlpha: !!metadata.hasAlpha,
+        whiteBorder: border ? Math.round(white / border * 1000) / 10 : 0
+    };
+}
+
+module.exports = { VARIANT_SIZES, VARIANT_FORMATS, canResize, readDimensions, renderVariant, cropRegion, analyzeImage };
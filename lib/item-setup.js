@@ -0,0 +1,128 @@
+// Maps mockup content onto a Walmart item-setup spreadsheet. Each column
+// takes one value from the mockup:
+//
+//   { header: 'Key Features 1', field: 'bullets', item: 1 }
+//   { header: 'Key Features', field: 'bullets', separator: '\n' }
+//   { header: 'Product Type', field: 'constant', value: 'Honey' }
+//
+// Workspaces can save their own column list to match the template their
+// category uses; the defaults follow the common item-setup columns.
+
+const MAX_COLUMNS = 100;
+const MAX_HEADER_LENGTH = 100;
+const MAX_VALUE_LENGTH = 500;
+
+const ITEM_SETUP_FIELDS = {
+    title: { label: 'Product name' },
+    brand: { label: 'Brand' },
+    fullDescription: { label: 'Site description' },
+    bullets: { label: 'Key features (About this item)', list: true },
+    detailsBullets: { label: 'Product details', list: true },
+    price: { label: 'Price' },
+    packSize: { label: 'Count / size' },
+    ingredients: { label: 'Ingredients' },
+    mainImageUrl: { label: 'Main image URL' },
+    imageUrls: { label: 'Image URLs', list: true },
+    mockupId: { label: 'Mockup ID' },
+    versionNumber: { label: 'Mockup version' },
+    constant: { label: 'Fixed text' }
+};
+
+const DEFAULT_ITEM_SETUP_COLUMNS = [
+    { header: 'Product Name', field: 'title' },
+    { header: 'Brand Name', field: 'brand' },
+    { header: 'Site Description', field: 'fullDescription' },
+    ...[1, 2, 3, 4, 5].map(item => ({ header: `Key Features ${item}`, field: 'bullets', item })),
+    { header: 'Price', field: 'price' },
+    { header: 'Count Per Pack / Size', field: 'packSize' },
+    { header: 'Ingredients', field: 'ingredients' },
+    { header: 'Main Image URL', field: 'mainImageUrl' }
+];
+
+// Checks a column list from the settings form; returns { error } or { columns }
+function parseItemSetupColumns(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'Add at least one column' };
+    }
+    if (input.length > MAX_COLUMNS) {
+        return { error: `Use at most ${MAX_COLUMNS} columns` };
+    }
+
+    const columns = [];
+    for (const [index, raw] of input.entries()) {
+        const position = `Column ${index + 1}`;
+        const header = typeof raw?.header === 'string' ? raw.header.trim() : '';
+        const field = raw?.field;
+
+        if (!header || header.length > MAX_HEADER_LENGTH) {
+            return { error: `${position} needs a header of at most ${MAX_HEADER_LENGTH} characters` };
+        }
+        if (!Object.prototype.hasOwnProperty.call(ITEM_SETUP_FIELDS, field)) {
+            return { error: `${position} has an unknown field` };
+        }
+
+        const column = { header, field };
+        if (field === 'constant') {
+            column.value = String(raw.value ?? '').slice(0, MAX_VALUE_LENGTH);
+        }
+        if (ITEM_SETUP_FIELDS[field].list) {
+            if (raw.item !== undefined && raw.item !== null && raw.item !== '') {
+                const item = Number(raw.item);
+                if (!Number.isInteger(item) || item < 1 || item > 50) {
+                    return { error: `${position}: item must be a number from 1 to 50` };
+                }
+                column.item = item;
+            } else if (raw.separator !== undefined) {
+                column.separator = String(raw.separator).slice(0, 10);
+            }
+        }
+        columns.push(column);
+    }
+    return { columns };
+}
+
+// The value of every source field for one mockup. data is the content of the
+// version being exported; imageUrl turns an image reference into a link.
+function itemSetupValues({ mockupId, versionNumber, data = {}, imageUrl }) {
+    const clean = list => (Array.isArray(list) ? list : []).map(item => String(item ?? '').trim()).filter(Boolean);
+    const imageUrls = clean(data.images).map(imageUrl).filter(Boolean);
+
+    return {
+        title: data.title,
+        brand: data.brand,
+        fullDescription: data.fullDescription,
+        bullets: clean(data.bullets),
+        detailsBullets: clean(data.detailsBullets),
+        price: data.price,
+        packSize: data.packSize,
+        ingredients: data.ingredients,
+        mainImageUrl: imageUrls[0] || '',
+        imageUrls,
+        mockupId,
+        versionNumber
+    };
+}
+
+function itemSetupCell(column, values) {
+    if (column.field === 'constant') return column.value || '';
+    const value = values[column.field];
+    if (!Array.isArray(value)) return String(value ?? '').trim();
+    if (column.item) return value[column.item - 1] || '';
+    return value.join(column.separator ?? '\n');
+}
+
+// Header row followed by one row per mockup
+function itemSetupRows(columns, mockups) {
+    return [
+        columns.map(column => column.header),
+        ...mockups.map(values => columns.map(column => itemSetupCell(column, values)))
+    ];
+}
+
+module.exports = {
+    ITEM_SETUP_FIELDS,
+    DEFAULT_ITEM_SETUP_COLUMNS,
+    parseItemSetupColumns,
+    itemSetupValues,
+    itemSetupRows
+};
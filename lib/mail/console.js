@@ -0,0 +1,13 @@
+// Console transport - prints messages instead of sending them
+
+function createConsoleTransport({ from }) {
+    return {
+        name: 'console',
+
+        async send({ to, subject, text }) {
+            console.log(`\n--- Email from ${from} to ${to} ---\nSubject: ${subject}\n\n${text}\n---\n`);
+        }
+    };
+}
+
+module.exports = createConsoleTransport;
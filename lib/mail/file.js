@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// File transport - writes each message to a JSON file in an outbox directory
+
+function createFileTransport({ dir, from }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        name: 'file',
+
+        async send({ to, subject, text, html }) {
+            const sentAt = new Date().toISOString();
+            const fileName = `${sentAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+            const filePath = path.join(dir, fileName);
+
+            fs.writeFileSync(filePath, JSON.stringify({ from, to, subject, text, html, sentAt }, null, 2));
+            console.log(`Email to ${to} ("${subject}") written to ${filePath}`);
+        }
+    };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,44 @@
+const path = require('path');
+
+// Picks an email transport from the environment.
+//
+// Every transport exposes send({ to, subject, text, html }). In development
+// the default "file" transport writes each message to an outbox directory
+// (and logs it) instead of delivering it, so invite and reset links can be
+// copied from there.
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, '..', '..', 'data', 'outbox');
+
+function resolveTransport(env) {
+    return env.MAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : 'file');
+}
+
+function createMailer(env = process.env) {
+    const transport = resolveTransport(env);
+    const from = env.MAIL_FROM || 'PDP Mockups <no-reply@localhost>';
+
+    if (transport === 'resend') {
+        if (!env.RESEND_API_KEY) {
+            throw new Error('Missing RESEND_API_KEY environment variable');
+        }
+        const createResendTransport = require('./resend');
+        return createResendTransport({ apiKey: env.RESEND_API_KEY, from });
+    }
+
+    if (transport === 'file') {
+        // Keep the outbox next to the JSON database unless told otherwise
+        const dir = env.MAIL_OUTBOX_PATH ||
+            (env.DATABASE_PATH ? path.join(path.dirname(env.DATABASE_PATH), 'outbox') : DEFAULT_OUTBOX_PATH);
+        const createFileTransport = require('./file');
+        return createFileTransport({ dir, from });
+    }
+
+    if (transport === 'console') {
+        const createConsoleTransport = require('./console');
+        return createConsoleTransport({ from });
+    }
+
+    throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected "resend", "file" or "console")`);
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,24 @@
+// Resend transport - delivers through the Resend HTTP API
+
+function createResendTransport({ apiKey, from }) {
+    return {
+        name: 'resend',
+
+        async send({ to, subject, text, html }) {
+            const response = await fetch('https://api.resend.com/emails', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ from, to, subject, text, html })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Resend API error ${response.status}: ${await response.text()}`);
+            }
+        }
+    };
+}
+
+module.exports = createResendTransport;
@@ -0,0 +1,31 @@
+// Finds @mentions in comment replies. Candidates are matched by display name
+// rather than parsed from the text, because reviewer names can contain spaces
+// ("@Ann Lee"). Longer names are tried first so "@Ann Lee" wins over "@Ann".
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns the candidates mentioned in text, each at most once.
+// candidates: [{ name, ... }] - extra fields are passed through untouched
+function findMentions(text, candidates) {
+    let remaining = String(text ?? '');
+    const mentioned = [];
+
+    const byLength = [...candidates]
+        .filter(c => c.name)
+        .sort((a, b) => b.name.length - a.name.length);
+
+    for (const candidate of byLength) {
+        const pattern = new RegExp(`@${escapeRegExp(candidate.name)}(?![\\w-])`, 'gi');
+        if (!pattern.test(remaining)) continue;
+
+        mentioned.push(candidate);
+        // Blank out the match so a shorter name can't claim it again
+        remaining = remaining.replace(pattern, match => ' '.repeat(match.length));
+    }
+
+    return mentioned;
+}
+
+module.exports = { findMentions };
@@ -0,0 +1,13 @@
+// Email channel - sends through the configured mail transport
+
+function createEmailChannel({ mailer }) {
+    return {
+        name: 'email',
+
+        async deliver(to, { subject, text, html }) {
+            await mailer.send({ to, subject, text, html });
+        }
+    };
+}
+
+module.exports = createEmailChannel;
@@ -0,0 +1,48 @@
+const path = require('path');
+
+// Picks how notifications are delivered.
+//
+// Each subscription names a channel ("email" or "webhook") and every channel
+// exposes deliver(target, message), where target is the address for email
+// and { url, secret } for webhooks, and message is
+// { subject, text, html, mockupId, events }. With NOTIFICATION_DELIVERY=outbox
+// nothing leaves the machine: every channel writes its messages to a local
+// outbox directory instead, which is handy in development.
+
+const NOTIFICATION_CHANNELS = ['email', 'webhook'];
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, '..', '..', 'data', 'notifications');
+
+function createNotifier({ mailer }, env = process.env) {
+    const delivery = env.NOTIFICATION_DELIVERY || 'live';
+    let channels;
+
+    if (delivery === 'live') {
+        const createEmailChannel = require('./email');
+        const createWebhookChannel = require('./webhook');
+        channels = {
+            email: createEmailChannel({ mailer }),
+            webhook: createWebhookChannel()
+        };
+    } else if (delivery === 'outbox') {
+        // Keep the outbox next to the JSON database unless told otherwise
+        const dir = env.NOTIFICATION_OUTBOX_PATH ||
+            (env.DATABASE_PATH ? path.join(path.dirname(env.DATABASE_PATH), 'notifications') : DEFAULT_OUTBOX_PATH);
+        const createOutboxChannel = require('./outbox');
+        channels = Object.fromEntries(NOTIFICATION_CHANNELS.map(name => [name, createOutboxChannel({ dir, channel: name })]));
+    } else {
+        throw new Error(`Unknown NOTIFICATION_DELIVERY "${delivery}" (expected "live" or "outbox")`);
+    }
+
+    return {
+        name: delivery,
+
+        async deliver(channel, target, message) {
+            if (!channels[channel]) {
+                throw new Error(`Unknown notification channel "${channel}"`);
+            }
+            await channels[channel].deliver(target, message);
+        }
+    };
+}
+
+module.exports = { createNotifier, NOTIFICATION_CHANNELS };
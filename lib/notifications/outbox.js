@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outbox channel - writes each notification to a JSON file instead of
+// delivering it
+
+function createOutboxChannel({ dir, channel }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        name: 'outbox',
+
+        async deliver(target, message) {
+            // Webhook targets carry a signing secret, which stays out of the files
+            const to = target?.url ?? target;
+            const sentAt = new Date().toISOString();
+            const fileName = `${sentAt.replace(/[:.]/g, '-')}-${channel}-${Math.random().toString(36).slice(2, 8)}.json`;
+            const filePath = path.join(dir, fileName);
+
+            fs.writeFileSync(filePath, JSON.stringify({ channel, target: to, ...message, sentAt }, null, 2));
+            console.log(`Notification for ${to} ("${message.subject}") written to ${filePath}`);
+        }
+    };
+}
+
+module.exports = createOutboxChannel;
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const { sendWebhook } = require('../webhooks');
+
+// Webhook channel - POSTs the notification as JSON to the subscriber's URL.
+// The target is { url, secret }; requests are signed and checked against
+// private addresses the same way as workspace webhooks (see lib/webhooks.js).
+
+function createWebhookChannel() {
+    return {
+        name: 'webhook',
+
+        async deliver({ url, secret }, { subject, text, mockupId, events }) {
+            const result = await sendWebhook({
+                url,
+                secret,
+                event: 'notification',
+                deliveryId: crypto.randomUUID(),
+                body: JSON.stringify({ subject, text, mockupId, events })
+            });
+
+            if (!result.ok) {
+                throw new Error(`Webhook ${url} failed: ${result.error}`);
+            }
+        }
+    };
+}
+
+module.exports = createWebhookChannel;
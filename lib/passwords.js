@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Password hashes are stored as versioned strings so the parameters can be
+// raised later without breaking existing logins:
+//   scrypt$<N>$<r>$<p>$<salt, base64>$<hash, base64>
+// Hashes from before this format are bare hex SHA-256 digests. They still
+// verify, but report needsRehash so callers can upgrade them in place.
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const LEGACY_SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+function deriveKey(password, salt, { N, r, p }) {
+    // scrypt needs 128 * N * r bytes; leave headroom over the 32MB default
+    return scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await deriveKey(password, salt, SCRYPT_PARAMS);
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Returns { valid, needsRehash }. needsRehash is true when the password is
+// right but the stored hash uses an older scheme or weaker parameters.
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+        const hash = crypto.createHash('sha256').update(password).digest();
+        const valid = crypto.timingSafeEqual(hash, Buffer.from(storedHash, 'hex'));
+        return { valid, needsRehash: valid };
+    }
+
+    const [scheme, N, r, p, salt, expected] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !expected) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    const expectedBuffer = Buffer.from(expected, 'base64');
+    let hash;
+    try {
+        hash = await deriveKey(password, Buffer.from(salt, 'base64'), params);
+    } catch (error) {
+        // Parameters scrypt rejects (a corrupted hash) can't match any password
+        return { valid: false, needsRehash: false };
+    }
+    const valid = hash.length === expectedBuffer.length && crypto.timingSafeEqual(hash, expectedBuffer);
+    const outdated = params.N < SCRYPT_PARAMS.N || params.r !== SCRYPT_PARAMS.r || params.p !== SCRYPT_PARAMS.p;
+
+    return { valid, needsRehash: valid && outdated };
+}
+
+module.exports = { hashPassword, verifyPassword };
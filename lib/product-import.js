@@ -0,0 +1,203 @@
+// Parsing and validation for bulk product imports. A CSV or JSON file lists
+// one product per row; images are referenced by file name and looked up in
+// an uploaded zip. Every row is checked on its own so one bad row doesn't
+// hold up the rest of the product line.
+
+const MAX_IMPORT_ROWS = 200;
+
+const TEXT_FIELDS = ['brand', 'title', 'price', 'packSize', 'ingredients', 'fullDescription'];
+const LIST_FIELDS = ['bullets', 'detailsBullets'];
+const IMAGE_FIELDS = ['images', 'brandImages'];
+const IMPORT_FIELDS = [...TEXT_FIELDS, ...LIST_FIELDS, ...IMAGE_FIELDS];
+
+// Column headers are matched without case, spaces or punctuation, so
+// "Pack Size", "pack_size" and "packSize" all work
+const FIELD_ALIASES = {
+    description: 'fullDescription',
+    about: 'bullets',
+    details: 'detailsBullets',
+    image: 'images',
+    brandimage: 'brandImages'
+};
+
+const IMAGE_EXTENSIONS = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    avif: 'image/avif'
+};
+
+const PRICE_PATTERN = /^\$?\s*(\d+(?:\.\d{1,2})?)$/;
+
+function headerKey(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function fieldForHeader(header) {
+    const key = headerKey(header);
+    return IMPORT_FIELDS.find(field => field.toLowerCase() === key) || FIELD_ALIASES[key] || null;
+}
+
+// RFC 4180 CSV: quoted cells may hold commas, quotes ("") and line breaks.
+// Returns an array of rows, each an array of cells.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw new Error('CSV has an unclosed quote');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Spreadsheet apps often leave blank lines at the end
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Turns the uploaded file into raw product objects keyed by import field.
+// Returns { products, ignoredColumns }; throws if the file can't be read.
+function parseProductFile(text, format) {
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error('JSON file could not be parsed');
+        }
+        const list = Array.isArray(parsed) ? parsed : parsed?.products;
+        if (!Array.isArray(list)) throw new Error('JSON file must be an array of products or { "products": [...] }');
+
+        const ignored = new Set();
+        const products = list.map(item => {
+            const product = {};
+            if (!item || typeof item !== 'object' || Array.isArray(item)) return product;
+            for (const [key, value] of Object.entries(item)) {
+                const field = fieldForHeader(key);
+                if (field) product[field] = value;
+                else ignored.add(key);
+            }
+            return product;
+        });
+        return { products, ignoredColumns: [...ignored] };
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('CSV file is empty');
+
+    const fields = header.map(fieldForHeader);
+    if (!fields.includes('title')) throw new Error('CSV needs a "title" column');
+
+    const products = rows.map(cells => {
+        const product = {};
+        fields.forEach((field, index) => {
+            if (field && cells[index] !== undefined) product[field] = cells[index];
+        });
+        return product;
+    });
+    return { products, ignoredColumns: header.filter((h, index) => !fields[index] && h.trim()) };
+}
+
+// Lists come as JSON arrays, or in CSV as one item per line or separated by |
+function splitList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(/\r?\n|\|/);
+    return items.map(item => String(item ?? '').trim()).filter(Boolean);
+}
+
+// Looks up image references in the zip by path, or by file name alone when
+// that is unambiguous. Names are compared without case.
+function createImageIndex(entries) {
+    const byPath = new Map();
+    const byName = new Map();
+    for (const entry of entries) {
+        byPath.set(entry.name.toLowerCase(), entry);
+        const name = entry.name.split('/').pop().toLowerCase();
+        byName.set(name, byName.has(name) ? null : entry);
+    }
+
+    // Returns { entry, mimeType } or { error }
+    return function findImage(reference) {
+        const key = reference.replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase();
+        const entry = byPath.get(key) || byName.get(key.split('/').pop());
+        if (!entry) {
+            return { error: byName.get(key.split('/').pop()) === null
+                ? `Image "${reference}" matches more than one file in the zip; use its folder path`
+                : `Image "${reference}" is not in the zip` };
+        }
+        const mimeType = IMAGE_EXTENSIONS[entry.name.split('.').pop().toLowerCase()];
+        if (!mimeType) return { error: `"${reference}" is not a supported image (JPEG, PNG, WebP, GIF or AVIF)` };
+        return { entry, mimeType };
+    };
+}
+
+// Checks one raw product. Returns { data, images: { field: [{ entry, mimeType }] }, errors }
+// where data is ready to save apart from the image fields.
+function validateProduct(product, findImage) {
+    const errors = [];
+    const data = {};
+
+    for (const field of TEXT_FIELDS) {
+        const value = product[field];
+        if (value !== undefined && value !== null && typeof value === 'object') {
+            errors.push(`${field} must be text`);
+            continue;
+        }
+        data[field] = String(value ?? '').trim();
+    }
+    for (const field of LIST_FIELDS) data[field] = splitList(product[field]);
+
+    if (data.title === '') errors.push('title is required');
+    if (data.price) {
+        const match = data.price.match(PRICE_PATTERN);
+        if (match) data.price = match[1];
+        else errors.push(`price "${data.price}" is not a number like 7.97`);
+    }
+
+    const images = {};
+    for (const field of IMAGE_FIELDS) {
+        images[field] = [];
+        for (const reference of splitList(product[field]).flatMap(ref => ref.split(';')).map(ref => ref.trim()).filter(Boolean)) {
+            if (!findImage) {
+                errors.push(`${field} lists "${reference}" but no images zip was uploaded`);
+                continue;
+            }
+            const found = findImage(reference);
+            if (found.error) errors.push(found.error);
+            else images[field].push(found);
+        }
+    }
+
+    return { data, images, errors };
+}
+
+module.exports = { MAX_IMPORT_ROWS, IMPORT_FIELDS, parseCsv, parseProductFile, createImageIndex, validateProduct };
@@ -0,0 +1,100 @@
+// In-process pub/sub for Server-Sent Events. Every open viewer and editor
+// holds one stream per mockup. Events only carry IDs and an action, never
+// mockup content, so clients refetch through the normal access checks.
+//
+// Access is checked when a stream opens, so whoever changes who may see a
+// mockup (revoking a link, a new password, ...) calls revalidate() to close
+// the streams that no longer pass. Streams are capped per mockup and per
+// client so nobody can hold an unbounded number of connections open.
+//
+// Streams live in this process's memory: with several server instances a
+// client only hears about changes made through the instance it is on.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+const MAX_STREAMS_PER_MOCKUP = 100;
+const MAX_STREAMS_PER_CLIENT = 20;
+
+function createEventHub({ maxPerMockup = MAX_STREAMS_PER_MOCKUP, maxPerClient = MAX_STREAMS_PER_CLIENT } = {}) {
+    const streams = new Map(); // mockupId -> Map of response -> request
+    const clients = new Map(); // client key -> number of open streams
+
+    // Returns false, without answering, when either limit is reached.
+    // clientKey identifies the caller, e.g. its IP address.
+    function subscribe(mockupId, req, res, clientKey) {
+        const subscribers = streams.get(mockupId) || new Map();
+        if (subscribers.size >= maxPerMockup || (clients.get(clientKey) || 0) >= maxPerClient) {
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Stop proxies such as nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        streams.set(mockupId, subscribers);
+        subscribers.set(res, req);
+        clients.set(clientKey, (clients.get(clientKey) || 0) + 1);
+
+        // Comment lines keep idle connections from being timed out
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            const count = clients.get(clientKey) - 1;
+            if (count > 0) clients.set(clientKey, count);
+            else clients.delete(clientKey);
+
+            const current = streams.get(mockupId);
+            if (!current) return;
+            current.delete(res);
+            if (current.size === 0) streams.delete(mockupId);
+        });
+        return true;
+    }
+
+    function publish(mockupId, type, payload = {}) {
+        const subscribers = streams.get(mockupId);
+        if (!subscribers) return;
+        const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+        for (const res of subscribers.keys()) res.write(message);
+    }
+
+    // Ends every stream for a mockup, e.g. once it has been deleted
+    function disconnect(mockupId) {
+        const subscribers = streams.get(mockupId);
+        if (!subscribers) return;
+        for (const res of subscribers.keys()) res.end();
+        streams.delete(mockupId);
+    }
+
+    // Ends the streams on a mockup whose request no longer passes
+    // isAllowed(req), which may be async. Returns how many were closed.
+    async function revalidate(mockupId, isAllowed) {
+        const subscribers = streams.get(mockupId);
+        if (!subscribers) return 0;
+
+        let closed = 0;
+        for (const [res, req] of [...subscribers]) {
+            if (await isAllowed(req)) continue;
+            subscribers.delete(res);
+            res.end();
+            closed++;
+        }
+        if (subscribers.size === 0 && streams.get(mockupId) === subscribers) streams.delete(mockupId);
+        return closed;
+    }
+
+    // Mockups with at least one open stream
+    function mockupIds() {
+        return [...streams.keys()];
+    }
+
+    return { subscribe, publish, disconnect, revalidate, mockupIds };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,117 @@
+// Retailer templates a mockup can be previewed as. Every template renders
+// the same mockup data; what differs is what each retailer calls a field,
+// which fields its page shows, its limits and its copy guidelines. The
+// browser renders the pages (public/pdp-templates.js) from these
+// declarations, and the AI prompts follow the same guidelines.
+//
+// Field settings:
+//   label     - what the retailer's page calls the field
+//   maxLength - characters the retailer allows (or recommends) per value
+//   maxItems  - for lists, how many items the page shows
+//   guidance  - how to write it, for the AI prompts
+// Fields a template doesn't list are kept in the data but not shown.
+
+const DEFAULT_RETAILER = 'walmart';
+
+const RETAILERS = {
+    walmart: {
+        name: 'Walmart',
+        fields: {
+            brand: { label: 'Brand', guidance: 'brand name (2-3 words max)' },
+            title: { label: 'Product title', maxLength: 75, guidance: 'product title optimized for Walmart search (50-75 characters, include key features)' },
+            price: { label: 'Price', guidance: 'price as a number only, e.g. 12.97' },
+            packSize: { label: 'Pack size', guidance: "pack size or quantity (e.g. '16 oz', '2 Pack', '100 Count')" },
+            ingredients: { label: 'Ingredients', guidance: 'key ingredients or materials if applicable, otherwise empty' },
+            bullets: { label: 'About this item', maxItems: 10, maxLength: 150, guidance: '4 key feature bullets, each starting with an action verb or key benefit' },
+            detailsBullets: { label: 'Product details', maxItems: 10, guidance: '3 additional product detail bullets' },
+            fullDescription: { label: 'Product details description', maxLength: 4000, guidance: "2-3 sentence description for the 'Product details' section, focused on benefits and use cases" },
+            brandImages: { label: 'About the brand', maxItems: 3 }
+        },
+        guidelines: [
+            'Clear, concise, and customer-focused',
+            'Optimized for search (include relevant keywords naturally)',
+            "Following Walmart's style guidelines: no promotional claims (sale, free shipping, best seller), no emoji, no ALL CAPS",
+            'Professional but approachable tone'
+        ]
+    },
+    amazon: {
+        name: 'Amazon',
+        fields: {
+            brand: { label: 'Brand', guidance: 'brand name as registered (2-3 words max)' },
+            title: { label: 'Product title', maxLength: 200, guidance: 'Amazon title (under 200 characters, ideally under 80 for mobile): brand, product line, key feature, product type, size and quantity, with the first letter of each word capitalized' },
+            price: { label: 'Price', guidance: 'price as a number only, e.g. 12.97' },
+            packSize: { label: 'Size', guidance: "size or quantity (e.g. '16 Ounce', 'Pack of 2')" },
+            ingredients: { label: 'Ingredients', guidance: 'ingredients or materials if applicable, otherwise empty' },
+            bullets: { label: 'About this item', maxItems: 5, maxLength: 255, guidance: '5 bullets, each opening with a short capitalized benefit phrase followed by the detail, as sentence fragments without ending punctuation' },
+            detailsBullets: { label: 'Product details', maxItems: 10, guidance: "3 product details written as 'Attribute: value' (e.g. 'Item Weight: 1 Pound')" },
+            fullDescription: { label: 'Product description', maxLength: 2000, guidance: 'one or two short paragraphs describing the product and how it is used' },
+            brandImages: { label: 'From the brand', maxItems: 5 }
+        },
+        guidelines: [
+            'Factual and specific; lead with what the customer gets',
+            'No promotional or time-sensitive claims (sale, free shipping, best seller, #1), no prices or seller information in the copy',
+            'No emoji or decorative symbols',
+            'Use numerals for numbers and spell out measurements (Ounce, Inch)'
+        ]
+    },
+    target: {
+        name: 'Target',
+        fields: {
+            brand: { label: 'Brand', guidance: 'brand name (2-3 words max)' },
+            title: { label: 'Product title', maxLength: 120, guidance: "short title in the form 'Brand Product Name - Size' (under 120 characters)" },
+            price: { label: 'Price', guidance: 'price as a number only, e.g. 12.99' },
+            packSize: { label: 'Size', guidance: "size or count (e.g. '16oz', '2pk')" },
+            ingredients: { label: 'Ingredients', guidance: 'ingredients or materials if applicable, otherwise empty' },
+            bullets: { label: 'Highlights', maxItems: 6, maxLength: 120, guidance: 'up to 6 short highlights, a few words to one line each' },
+            detailsBullets: { label: 'Specifications', maxItems: 12, guidance: "3 specifications written as 'Attribute: value' (e.g. 'Net weight: 16 ounces')" },
+            fullDescription: { label: 'Description', maxLength: 2000, guidance: 'friendly, conversational 2-4 sentence description' },
+            brandImages: { label: 'From the manufacturer', maxItems: 3 }
+        },
+        guidelines: [
+            'Friendly, upbeat and easy to scan',
+            'Short phrases over long sentences',
+            'No promotional claims, prices or shipping offers in the copy, no emoji'
+        ]
+    },
+    generic: {
+        name: 'Generic (DTC)',
+        fields: {
+            brand: { label: 'Brand', guidance: 'brand name (2-3 words max)' },
+            title: { label: 'Product name', maxLength: 70, guidance: 'memorable product name (under 70 characters so it fits search results)' },
+            price: { label: 'Price', guidance: 'price as a number only, e.g. 24.00' },
+            packSize: { label: 'Size', guidance: "size or quantity (e.g. '16 oz')" },
+            ingredients: { label: 'Ingredients', guidance: 'ingredients or materials if applicable, otherwise empty' },
+            bullets: { label: "Why you'll love it", maxItems: 6, maxLength: 150, guidance: '4 benefit-led bullets in the brand voice' },
+            detailsBullets: { label: 'Details', maxItems: 10, guidance: '3 practical details (materials, care, dimensions)' },
+            fullDescription: { label: 'Description', maxLength: 3000, guidance: "2-4 sentence description that tells the product's story" },
+            brandImages: { label: 'Our story', maxItems: 3 }
+        },
+        guidelines: [
+            "Written in the brand's own voice; more expressive than marketplace copy",
+            'Benefit-led and specific',
+            'Still clear and honest: no unsupported claims'
+        ]
+    }
+};
+
+function isRetailer(id) {
+    return Object.prototype.hasOwnProperty.call(RETAILERS, id);
+}
+
+// Unknown or missing retailers fall back to Walmart, which every mockup was
+// made for before templates existed
+function getRetailer(id) {
+    const key = isRetailer(id) ? id : DEFAULT_RETAILER;
+    return { id: key, ...RETAILERS[key] };
+}
+
+function listRetailers() {
+    return Object.keys(RETAILERS).map(id => {
+        const { name, fields } = RETAILERS[id];
+        const publicFields = Object.fromEntries(Object.entries(fields)
+            .map(([field, { guidance, ...settings }]) => [field, settings]));
+        return { id, name, fields: publicFields };
+    });
+}
+
+module.exports = { DEFAULT_RETAILER, RETAILERS, isRetailer, getRetailer, listRetailers };
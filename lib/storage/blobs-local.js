@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local blob store - one file per key under a directory
+
+function createLocalBlobStore({ dir }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    function filePath(key) {
+        // Keys are generated server-side, but never let one escape the directory
+        return path.join(dir, path.basename(key));
+    }
+
+    return {
+        name: 'local',
+
+        async put(key, buffer) {
+            fs.writeFileSync(filePath(key), buffer);
+        },
+
+        async get(key) {
+            try {
+                return fs.readFileSync(filePath(key));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        async remove(key) {
+            fs.rmSync(filePath(key), { force: true });
+        }
+    };
+}
+
+module.exports = createLocalBlobStore;
@@ -0,0 +1,34 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase Storage blob store - keys map to objects in a single bucket
+
+function createSupabaseBlobStore({ url, key, bucket }) {
+    const supabase = createClient(url, key);
+
+    return {
+        name: 'supabase',
+
+        async put(objectKey, buffer, contentType) {
+            const { error } = await supabase.storage
+                .from(bucket)
+                .upload(objectKey, buffer, { contentType, upsert: true });
+            if (error) throw error;
+        },
+
+        async get(objectKey) {
+            const { data, error } = await supabase.storage.from(bucket).download(objectKey);
+            if (error) {
+                if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message)) return null;
+                throw error;
+            }
+            return Buffer.from(await data.arrayBuffer());
+        },
+
+        async remove(objectKey) {
+            const { error } = await supabase.storage.from(bucket).remove([objectKey]);
+            if (error) throw error;
+        }
+    };
+}
+
+module.exports = createSupabaseBlobStore;
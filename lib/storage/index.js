@@ -0,0 +1,65 @@
+const path = require('path');
+
+// Picks a storage adapter from the environment.
+//
+// Every adapter exposes the same table-level API:
+//   find(table, { where, columns, orderBy, ascending, limit }) -> rows
+//   findOne(table, where, { columns })                          -> row | null
+//   count(table, where)                                         -> number
+//   insert(table, row)                                          -> row
+//   insertIgnore(table, row, { key })                           -> row
+//   update(table, where, patch)                                 -> rows
+//   increment(table, where, column, { max })                    -> row | null
+//   remove(table, where)
+// `where` is a map of column -> value; an array value matches any of its items.
+// insertIgnore inserts unless a row with the same `key` column (default 'id')
+// exists, and returns whichever row is stored; concurrent calls don't conflict.
+// increment adds 1 to a numeric column of the single row `where` matches, as
+// one atomic step, unless it has already reached `max`; it returns the updated
+// row, or null if there is no such row or the limit was reached.
+//
+// Binary files (uploaded images) go through a separate blob store with
+// put(key, buffer, contentType), get(key) -> Buffer | null and remove(key).
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', '..', 'data', 'db.json');
+
+function resolveDriver(env) {
+    return env.STORAGE_DRIVER || (env.SUPABASE_URL ? 'supabase' : 'json');
+}
+
+function createStorage(env = process.env) {
+    const driver = resolveDriver(env);
+
+    if (driver === 'supabase') {
+        if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+            throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
+        }
+        const createSupabaseStorage = require('./supabase');
+        return createSupabaseStorage({ url: env.SUPABASE_URL, key: env.SUPABASE_SERVICE_KEY });
+    }
+
+    if (driver === 'json') {
+        const createJsonFileStorage = require('./json-file');
+        return createJsonFileStorage({ filePath: env.DATABASE_PATH || DEFAULT_DATABASE_PATH });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "supabase" or "json")`);
+}
+
+function createBlobStore(env = process.env) {
+    if (resolveDriver(env) === 'supabase') {
+        const createSupabaseBlobStore = require('./blobs-supabase');
+        return createSupabaseBlobStore({
+            url: env.SUPABASE_URL,
+            key: env.SUPABASE_SERVICE_KEY,
+            bucket: env.SUPABASE_ASSET_BUCKET || 'assets'
+        });
+    }
+
+    // Keep local assets next to the JSON database unless told otherwise
+    const databasePath = env.DATABASE_PATH || DEFAULT_DATABASE_PATH;
+    const createLocalBlobStore = require('./blobs-local');
+    return createLocalBlobStore({ dir: env.ASSETS_PATH || path.join(path.dirname(databasePath), 'assets') });
+}
+
+module.exports = { createStorage, createBlobStore };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file storage adapter - keeps every table in memory and rewrites the
+// file on each change. Meant for local work and tests, not for production.
+
+// Loose comparison so query-string values ('2') match stored numbers (2),
+// the same way Postgres casts them for the Supabase adapter
+function sameValue(a, b) {
+    if (a === undefined || a === null || b === undefined || b === null) {
+        return (a === undefined || a === null) && (b === undefined || b === null);
+    }
+    return String(a) === String(b);
+}
+
+function matches(row, where = {}) {
+    return Object.entries(where).every(([column, value]) => {
+        if (Array.isArray(value)) {
+            return value.some(v => sameValue(row[column], v));
+        }
+        return sameValue(row[column], value);
+    });
+}
+
+function pickColumns(row, columns) {
+    if (!columns || columns === '*') return structuredClone(row);
+    const picked = {};
+    columns.split(',').map(c => c.trim()).forEach(column => {
+        picked[column] = row[column] === undefined ? null : structuredClone(row[column]);
+    });
+    return picked;
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    return a < b ? -1 : 1;
+}
+
+function requireWhere(where) {
+    if (!where || Object.keys(where).length === 0) {
+        throw new Error('Refusing to run an unfiltered update/delete');
+    }
+}
+
+function createJsonFileStorage({ filePath }) {
+    let db = {};
+
+    if (fs.existsSync(filePath)) {
+        db = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}');
+    } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    function table(name) {
+        if (!db[name]) db[name] = [];
+        return db[name];
+    }
+
+    function save() {
+        // Write to a temp file first so a crash never leaves half a database
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(db, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        name: 'json',
+
+        async find(tableName, { where, columns = '*', orderBy, ascending = true, limit } = {}) {
+            let rows = table(tableName).filter(row => matches(row, where));
+            if (orderBy) {
+                rows = rows.slice().sort((a, b) => {
+                    const result = compareValues(a[orderBy], b[orderBy]);
+                    return ascending ? result : -result;
+                });
+            }
+            if (limit) rows = rows.slice(0, limit);
+            return rows.map(row => pickColumns(row, columns));
+        },
+
+        async findOne(tableName, where, { columns = '*' } = {}) {
+            const row = table(tableName).find(r => matches(r, where));
+            return row ? pickColumns(row, columns) : null;
+        },
+
+        async count(tableName, where) {
+            return table(tableName).filter(row => matches(row, where)).length;
+        },
+
+        async insert(tableName, row) {
+            const now = new Date().toISOString();
+            const stored = { created_at: now, updated_at: now, ...structuredClone(row) };
+            table(tableName).push(stored);
+            save();
+            return structuredClone(stored);
+        },
+
+        async insertIgnore(tableName, row, { key = 'id' } = {}) {
+            const existing = table(tableName).find(r => sameValue(r[key], row[key]));
+            if (existing) return structuredClone(existing);
+            return this.insert(tableName, row);
+        },
+
+        async update(tableName, where, patch) {
+            requireWhere(where);
+            const now = new Date().toISOString();
+            const updated = [];
+            table(tableName).forEach(row => {
+                if (!matches(row, where)) return;
+                Object.assign(row, structuredClone(patch), { updated_at: now });
+                updated.push(structuredClone(row));
+            });
+            if (updated.length) save();
+            return updated;
+        },
+
+        // Reads and writes in the same tick, so no other call can interleave
+        async increment(tableName, where, column, { max } = {}) {
+            requireWhere(where);
+            const row = table(tableName).find(r => matches(r, where));
+            if (!row) return null;
+            const current = row[column] || 0;
+            if (max !== undefined && max !== null && current >= max) return null;
+            row[column] = current + 1;
+            row.updated_at = new Date().toISOString();
+            save();
+            return structuredClone(row);
+        },
+
+        async remove(tableName, where) {
+            requireWhere(where);
+            const rows = table(tableName);
+            const kept = rows.filter(row => !matches(row, where));
+            if (kept.length !== rows.length) {
+                db[tableName] = kept;
+                save();
+            }
+        }
+    };
+}
+
+module.exports = createJsonFileStorage;
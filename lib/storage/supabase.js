@@ -0,0 +1,113 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase storage adapter - thin wrapper around the query builder so routes
+// don't depend on the client directly
+
+function applyWhere(query, where = {}) {
+    for (const [column, value] of Object.entries(where)) {
+        if (Array.isArray(value)) {
+            query = query.in(column, value);
+        } else if (value === null) {
+            query = query.is(column, null);
+        } else {
+            query = query.eq(column, value);
+        }
+    }
+    return query;
+}
+
+// Attempts at a compare-and-set increment before giving up under contention
+const MAX_INCREMENT_ATTEMPTS = 10;
+
+function requireWhere(where) {
+    if (!where || Object.keys(where).length === 0) {
+        throw new Error('Refusing to run an unfiltered update/delete');
+    }
+}
+
+function createSupabaseStorage({ url, key }) {
+    const supabase = createClient(url, key);
+
+    return {
+        name: 'supabase',
+
+        async find(table, { where, columns = '*', orderBy, ascending = true, limit } = {}) {
+            let query = applyWhere(supabase.from(table).select(columns), where);
+            if (orderBy) query = query.order(orderBy, { ascending });
+            if (limit) query = query.limit(limit);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            return data || [];
+        },
+
+        async findOne(table, where, { columns = '*' } = {}) {
+            const { data, error } = await applyWhere(supabase.from(table).select(columns), where)
+                .limit(1)
+                .maybeSingle();
+            if (error) throw error;
+            return data;
+        },
+
+        async count(table, where) {
+            const { count, error } = await applyWhere(
+                supabase.from(table).select('*', { count: 'exact', head: true }),
+                where
+            );
+            if (error) throw error;
+            return count || 0;
+        },
+
+        async insert(table, row) {
+            const { data, error } = await supabase.from(table).insert(row).select().single();
+            if (error) throw error;
+            return data;
+        },
+
+        async insertIgnore(table, row, { key = 'id' } = {}) {
+            const { data, error } = await supabase.from(table)
+                .upsert(row, { onConflict: key, ignoreDuplicates: true })
+                .select();
+            if (error) throw error;
+            if (data && data.length) return data[0];
+            // Already there: the ignored insert returns nothing
+            return this.findOne(table, { [key]: row[key] });
+        },
+
+        async update(table, where, patch) {
+            requireWhere(where);
+            const { data, error } = await applyWhere(supabase.from(table).update(patch), where).select();
+            if (error) throw error;
+            return data || [];
+        },
+
+        // Compare-and-set: the update only applies while the column still
+        // holds the value that was read, so concurrent calls retry rather
+        // than overwrite each other
+        async increment(table, where, column, { max } = {}) {
+            requireWhere(where);
+            for (let attempt = 0; attempt < MAX_INCREMENT_ATTEMPTS; attempt++) {
+                const row = await this.findOne(table, where, { columns: column });
+                if (!row) return null;
+                const current = row[column];
+                if (max !== undefined && max !== null && (current || 0) >= max) return null;
+
+                const { data, error } = await applyWhere(
+                    supabase.from(table).update({ [column]: (current || 0) + 1 }),
+                    { ...where, [column]: current }
+                ).select();
+                if (error) throw error;
+                if (data && data.length) return data[0];
+            }
+            throw new Error(`Couldn't increment ${table}.${column}: too many concurrent updates`);
+        },
+
+        async remove(table, where) {
+            requireWhere(where);
+            const { error } = await applyWhere(supabase.from(table).delete(), where);
+            if (error) throw error;
+        }
+    };
+}
+
+module.exports = createSupabaseStorage;
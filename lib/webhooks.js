@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+// Outgoing webhook deliveries. Each one is a JSON POST signed with the
+// webhook's secret: X-Webhook-Signature is "sha256=" followed by the hex
+// HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>", so receivers can reject
+// forged requests and, by checking the timestamp, replayed ones.
+//
+// URLs are entered by users, so the server must not become a way to reach
+// its own network: hosts that resolve to loopback, private, link-local
+// (including cloud metadata) or other reserved addresses are refused when a
+// URL is saved and again before every send. Only the response status is
+// kept; the body is never read.
+
+const TIMEOUT_MS = 10 * 1000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Wait before each retry; a delivery is given up after the last one
+const RETRY_DELAYS_MS = [
+    60 * 1000,            // 1 minute
+    5 * 60 * 1000,        // 5 minutes
+    30 * 60 * 1000,       // 30 minutes
+    2 * 60 * 60 * 1000,   // 2 hours
+    12 * 60 * 60 * 1000   // 12 hours
+];
+
+function createWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Milliseconds until the next try after `attempts` failed ones, or null
+// once there are no retries left
+function nextRetryDelay(attempts) {
+    return RETRY_DELAYS_MS[attempts - 1] ?? null;
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+// against the IPv4 ranges
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Resolves the URL's host and returns an error message if it isn't an http(s)
+// URL on the public internet, or null if it may be called
+async function checkWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'Webhook URL must start with http:// or https://';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'Webhook URL must start with http:// or https://';
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        return `Couldn't find the host ${host}`;
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        return 'Webhook URL must point to a public address, not a local or private network';
+    }
+    return null;
+}
+
+// Never throws: returns { ok, status, error } for the delivery log. Errors
+// are kept generic so the log can't be used to probe the receiver.
+async function sendWebhook({ url, secret, event, deliveryId, body }) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const blocked = await checkWebhookUrl(url);
+    if (blocked) return { ok: false, status: null, error: blocked };
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'PDP-Mockup-Webhooks/1.0',
+                'X-Webhook-Event': event,
+                'X-Webhook-Delivery': deliveryId,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        // Only the status matters; don't download whatever the receiver sends
+        await response.body?.cancel().catch(() => {});
+
+        return {
+            ok: response.ok,
+            status: response.status,
+            error: response.ok ? null : `Responded ${response.status}`
+        };
+    } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        return { ok: false, status: null, error: timedOut ? 'Timed out' : 'Could not connect' };
+    }
+}
+
+module.exports = { createWebhookSecret, signPayload, nextRetryDelay, checkWebhookUrl, sendWebhook, RETRY_DELAYS_MS };
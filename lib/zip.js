@@ -0,0 +1,148 @@
+const zlib = require('zlib');
+
+// Minimal .zip support. The reader handles uploaded archives with stored
+// and deflated entries only, no zip64, encryption or multi-disk archives.
+// That covers what Finder, Windows Explorer and `zip` produce for a folder
+// of images. The writer builds small archives such as XLSX files.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// The end record sits in the last 22 bytes, plus an optional comment of up
+// to 64KB
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    return -1;
+}
+
+// Returns [{ name, size, read() }] for the files in the archive. Folders and
+// macOS metadata (__MACOSX/, ._ files, .DS_Store) are left out. read()
+// inflates the entry and throws if it is larger than maxEntrySize.
+function readZip(buffer, { maxEntrySize = 25 * 1024 * 1024 } = {}) {
+    const end = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+    if (end === -1) throw new Error('Not a zip file');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Zip file is damaged');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        // Bit 11 marks UTF-8 names; older tools write CP437, close enough to latin1
+        const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const baseName = name.split('/').pop();
+        if (name.endsWith('/') || name.startsWith('__MACOSX/') || baseName.startsWith('._') || baseName === '.DS_Store') {
+            continue;
+        }
+
+        entries.push({
+            name,
+            size,
+            read() {
+                if (flags & 0x1) throw new Error(`${name} is encrypted`);
+                if (size > maxEntrySize) throw new Error(`${name} is too large`);
+                if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw new Error('Zip file is damaged');
+
+                const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+                const data = buffer.subarray(start, start + compressedSize);
+
+                if (method === METHOD_STORED) return Buffer.from(data);
+                if (method === METHOD_DEFLATED) return zlib.inflateRawSync(data, { maxOutputLength: maxEntrySize });
+                throw new Error(`${name} uses an unsupported compression method`);
+            }
+        });
+    }
+
+    return entries;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data }] where data is a Buffer or string. Returns the
+// archive as a Buffer, every entry deflated and stamped 1980-01-01.
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x800, 6); // UTF-8 names
+        local.writeUInt16LE(METHOD_DEFLATED, 8);
+        local.writeUInt16LE(0, 10); // time
+        local.writeUInt16LE(0x21, 12); // date: 1980-01-01
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x800, 8);
+        central.writeUInt16LE(METHOD_DEFLATED, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, compressed);
+        centrals.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { readZip, createZip };
@@ -0,0 +1,435 @@
+// Retailer page templates, shared by the viewer and the editor preview. Each
+// template renders the same mockup data as one retailer's product page, into
+// four slots the page provides:
+//   header  - the site header
+//   product - the gallery and product info, laid out in the product section
+//             (the area feedback pins are placed on)
+//   details - everything below the fold
+//   buyBox  - the right-hand column; empty for retailers without one
+// The gallery is left for the page to fill: every template renders an empty
+// #thumbnailStrip and a #mainImage placeholder. The details slot always has
+// #about-section, plus #pdpDescription and #pdpBrandImages when shown.
+//
+// Which fields a retailer shows, what it calls them and its limits come from
+// the declarations served by /api/retailers (lib/retailers.js). Lists are cut
+// to the retailer's maxItems, as the real page would.
+const PdpTemplates = (() => {
+    const DEFAULT_RETAILER = 'walmart';
+    // Used if the declarations can't be loaded: every field, no limits
+    const FALLBACK = { id: DEFAULT_RETAILER, name: 'Walmart', fields: null };
+
+    let retailers = [];
+    let loading = null;
+
+    function load() {
+        if (!loading) {
+            loading = fetch('/api/retailers')
+                .then(res => res.json())
+                .then(result => { retailers = result.retailers || []; return retailers; })
+                .catch(e => { console.error('Error loading retailers:', e); return retailers; });
+        }
+        return loading;
+    }
+
+    function get(id) {
+        return retailers.find(r => r.id === id) || retailers.find(r => r.id === DEFAULT_RETAILER) || FALLBACK;
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    function formatPrice(price) {
+        return `$${(parseFloat(price) || 0).toFixed(2)}`;
+    }
+
+    // 'Attribute: value' details are shown as a name and a value
+    function splitDetail(detail) {
+        const match = detail.match(/^([^:]{1,40}):\s*(.+)$/);
+        return match ? { name: match[1], value: match[2] } : { name: '', value: detail };
+    }
+
+    // What a template needs to know about the data, for one render.
+    // placeholders: text for empty fields, keyed by field (the editor prompts
+    // for content; the viewer leaves empty fields out)
+    function createPage(retailer, data, { assetUrl, placeholders = {} }) {
+        const settings = field => retailer.fields ? retailer.fields[field] : {};
+        const shows = field => Boolean(settings(field));
+        const list = field => {
+            const items = (data[field] || []).filter(item => item && item.trim());
+            const max = settings(field)?.maxItems;
+            return max ? items.slice(0, max) : items;
+        };
+        const filled = field => Array.isArray(data[field]) ? list(field).length > 0 : Boolean(data[field]);
+        const has = field => shows(field) && (filled(field) || Boolean(placeholders[field]));
+
+        return {
+            has,
+            label: field => settings(field)?.label || field,
+            text: (field, fallback = '') => escapeHtml(data[field] || placeholders[field] || fallback),
+            listItems: (field, render = item => escapeHtml(item)) => {
+                const items = list(field);
+                if (!items.length) return placeholders[field] ? `<li>${escapeHtml(placeholders[field])}</li>` : '';
+                return items.map(item => `<li>${render(item)}</li>`).join('');
+            },
+            details: render => list('detailsBullets').map(detail => render(splitDetail(detail))).join('')
+                || (placeholders.detailsBullets ? `<p>${escapeHtml(placeholders.detailsBullets)}</p>` : ''),
+            brandImages: () => {
+                const images = list('brandImages');
+                if (!images.length) return placeholders.brandImages ? `<div class="placeholder-image">${escapeHtml(placeholders.brandImages)}</div>` : '';
+                return images.map(ref => `<img src="${assetUrl(ref, 'main')}" alt="">`).join('');
+            },
+            price: formatPrice(data.price),
+            priceParts: (() => {
+                const [whole, fraction] = (parseFloat(data.price) || 0).toFixed(2).split('.');
+                return { whole, fraction };
+            })(),
+            gallery: () => `
+                <div class="image-gallery">
+                    <div class="thumbnail-strip" id="thumbnailStrip"></div>
+                    <div class="main-image" id="mainImage">
+                        <div class="placeholder-image"><div style="font-size:64px;">📦</div><div>${escapeHtml(placeholders.images || 'No image')}</div></div>
+                    </div>
+                </div>`
+        };
+    }
+
+    const TEMPLATES = {
+        walmart: {
+            header: () => `
+                <header class="walmart-header">
+                    <div class="header-top">
+                        <a href="#" class="walmart-logo">
+                            <svg class="spark-svg" viewBox="0 0 24 24" fill="#ffc220"><path d="M12 2L14.5 9H22L16 13.5L18 21L12 16.5L6 21L8 13.5L2 9H9.5L12 2Z"/></svg>
+                        </a>
+                        <button class="location-btn"><span>📍</span><span>How do you want your items?</span></button>
+                        <div class="search-container">
+                            <div class="search-bar">
+                                <input type="text" class="search-input" placeholder="Search everything at Walmart online and in store">
+                                <button class="search-btn">🔍</button>
+                            </div>
+                        </div>
+                        <div class="header-actions">
+                            <a href="#" class="header-action"><span>↻</span><span>Reorder</span></a>
+                            <a href="#" class="header-action"><span>👤</span><span>Sign In</span></a>
+                            <a href="#" class="header-action"><span>🛒</span><span>$0.00</span></a>
+                        </div>
+                    </div>
+                    <nav class="header-nav">
+                        <div class="nav-items">
+                            <a href="#" class="nav-item">Departments</a>
+                            <a href="#" class="nav-item">Services</a>
+                            <a href="#" class="nav-item">Deals</a>
+                            <a href="#" class="nav-item">Grocery</a>
+                            <a href="#" class="nav-item">Essentials</a>
+                            <a href="#" class="nav-item">Fashion</a>
+                            <a href="#" class="nav-item">Home</a>
+                            <a href="#" class="nav-item">Electronics</a>
+                        </div>
+                    </nav>
+                </header>`,
+            product: page => `
+                ${page.gallery()}
+                <div class="product-info">
+                    <span class="best-seller-badge">Best seller</span>
+                    <div class="brand-name"><a href="#">${page.text('brand', 'Brand')}</a></div>
+                    <h1 class="product-title">${page.text('title', 'Product Title')}</h1>
+                    <div class="rating-row">
+                        <span class="stars">★★★★★</span>
+                        <span>(4.6)</span>
+                        <a href="#">2,402 reviews</a>
+                    </div>
+                    <div class="pack-size-section">
+                        <div class="section-label">${page.label('packSize')}: <span>${page.text('packSize', 'Single')}</span></div>
+                        <div class="pack-options">
+                            <div class="pack-option selected">
+                                <div class="pack-option-name">Single</div>
+                                <div class="pack-option-price">Now ${page.price}</div>
+                                <div class="pack-option-unit">49.8 ¢/oz</div>
+                            </div>
+                            <div class="pack-option">
+                                <div class="pack-option-name">2-Pack</div>
+                                <div class="pack-option-price">$15.94</div>
+                            </div>
+                        </div>
+                    </div>
+                    ${page.has('ingredients') ? `
+                    <div class="collapsible-section open">
+                        <div class="collapsible-header" onclick="this.parentElement.classList.toggle('open')">
+                            <span>${page.label('ingredients')}</span><span class="chevron">▼</span>
+                        </div>
+                        <div class="collapsible-content"><p>${page.text('ingredients')}</p></div>
+                    </div>` : ''}
+                    ${page.has('bullets') ? `
+                    <div class="collapsible-section open">
+                        <div class="collapsible-header" onclick="this.parentElement.classList.toggle('open')">
+                            <span>${page.label('bullets')}</span><span class="chevron">▼</span>
+                        </div>
+                        <div class="collapsible-content">
+                            <ul class="about-bullets">${page.listItems('bullets')}</ul>
+                            <a href="#about-section" class="view-full-details">View full details</a>
+                        </div>
+                    </div>` : ''}
+                </div>`,
+            details: page => `
+                <div class="about-section-full" id="about-section">
+                    <h2>About this item</h2>
+                    <div class="product-details-section open">
+                        <div class="details-header" onclick="this.parentElement.classList.toggle('open')">
+                            <span>${page.label('detailsBullets')}</span><span class="chevron">▼</span>
+                        </div>
+                        <div class="details-content">
+                            ${page.has('fullDescription') ? `<p class="details-description" id="pdpDescription">${page.text('fullDescription')}</p>` : ''}
+                            ${page.has('detailsBullets') ? `<ul class="details-bullets">${page.listItems('detailsBullets')}</ul>` : ''}
+                            <div class="details-disclaimer"><span>ⓘ</span><span>We aim to show accurate product information.</span></div>
+                        </div>
+                    </div>
+                    <div class="product-details-section">
+                        <div class="details-header" onclick="this.parentElement.classList.toggle('open')"><span>Specifications</span><span>▸</span></div>
+                        <div class="details-content"><p>Specifications here.</p></div>
+                    </div>
+                    ${page.has('ingredients') ? `
+                    <div class="product-details-section">
+                        <div class="details-header" onclick="this.parentElement.classList.toggle('open')"><span>${page.label('ingredients')}</span><span>▸</span></div>
+                        <div class="details-content"><p>${page.text('ingredients')}</p></div>
+                    </div>` : ''}
+                    ${page.has('brandImages') ? `
+                    <div class="product-details-section open">
+                        <div class="details-header" onclick="this.parentElement.classList.toggle('open')"><span>${page.label('brandImages')}</span><span class="chevron">▼</span></div>
+                        <div class="details-content"><div class="brand-images" id="pdpBrandImages">${page.brandImages()}</div></div>
+                    </div>` : ''}
+                </div>`,
+            buyBox: page => `
+                <div class="buy-box">
+                    <div class="price-row">
+                        <span class="price-now-label">Now</span>
+                        <span class="price-current">${page.price}</span>
+                        <span class="price-original">$11.72</span>
+                    </div>
+                    <div class="price-savings">You save $3.75</div>
+                    <div class="price-subtext">Price when purchased online</div>
+                    <div class="free-returns">✓ Free 90-day returns</div>
+                    <button class="add-to-cart-btn">Add to cart</button>
+                    <div class="subscribe-section">
+                        <div class="subscribe-header">
+                            <label class="subscribe-radio"><input type="radio" name="purchase"> Subscribe</label>
+                            <span class="subscribe-price">${page.price}</span>
+                        </div>
+                    </div>
+                    <div class="subscribe-section">
+                        <div class="subscribe-header">
+                            <label class="subscribe-radio"><input type="radio" name="purchase" checked> One-time purchase</label>
+                            <span class="subscribe-price">${page.price}</span>
+                        </div>
+                    </div>
+                    <div class="fulfillment-section">
+                        <div class="fulfillment-label">How you'll get this item:</div>
+                        <div class="fulfillment-tabs">
+                            <div class="fulfillment-tab selected"><div class="fulfillment-tab-icon">📦</div><div class="fulfillment-tab-title">Shipping</div></div>
+                            <div class="fulfillment-tab"><div class="fulfillment-tab-icon">🏪</div><div class="fulfillment-tab-title">Pickup</div></div>
+                            <div class="fulfillment-tab"><div class="fulfillment-tab-icon">🚚</div><div class="fulfillment-tab-title">Delivery</div></div>
+                        </div>
+                    </div>
+                    <div class="seller-info">
+                        <div class="seller-row"><span>🏪</span> Sold and shipped by Walmart.com</div>
+                        <div class="seller-row"><span>↩</span> Free 90-day returns</div>
+                    </div>
+                    <div class="wplus-banner">
+                        <div class="wplus-text"><strong>Walmart+</strong><span class="wplus-trial">Free delivery & more</span></div>
+                    </div>
+                </div>`
+        },
+
+        amazon: {
+            header: () => `
+                <header class="az-header">
+                    <div class="az-header-top">
+                        <a href="#" class="az-logo">amazon<span>.</span></a>
+                        <div class="az-header-link"><span>Deliver to</span><strong>📍 New York 10001</strong></div>
+                        <div class="az-search">
+                            <span class="az-search-dept">All ▾</span>
+                            <input type="text" placeholder="Search Amazon">
+                            <button>🔍</button>
+                        </div>
+                        <div class="az-header-link"><span>Hello, sign in</span><strong>Account &amp; Lists ▾</strong></div>
+                        <div class="az-header-link"><span>Returns</span><strong>&amp; Orders</strong></div>
+                        <div class="az-header-link"><strong>🛒 Cart</strong></div>
+                    </div>
+                    <nav class="az-nav">
+                        <span>☰ All</span><span>Today's Deals</span><span>Customer Service</span><span>Registry</span><span>Gift Cards</span><span>Sell</span>
+                    </nav>
+                </header>`,
+            product: page => `
+                ${page.gallery()}
+                <div class="az-info">
+                    <h1 class="az-title">${page.text('title', 'Product Title')}</h1>
+                    <a href="#" class="az-store">Visit the ${page.text('brand', 'Brand')} Store</a>
+                    <div class="az-rating"><span>4.6</span><span class="az-stars">★★★★☆</span><a href="#">2,402 ratings</a></div>
+                    <div class="az-divider"></div>
+                    <div class="az-price"><span class="az-price-symbol">$</span><span class="az-price-whole">${page.priceParts.whole}</span><span class="az-price-fraction">${page.priceParts.fraction}</span></div>
+                    <div class="az-note">FREE Returns</div>
+                    ${page.has('packSize') ? `
+                    <div class="az-label">${page.label('packSize')}: <strong>${page.text('packSize')}</strong></div>
+                    <div class="az-options"><span class="az-option selected">${page.text('packSize')}</span></div>` : ''}
+                    <div class="az-divider"></div>
+                    ${page.has('bullets') ? `
+                    <h3>${page.label('bullets')}</h3>
+                    <ul class="az-bullets">${page.listItems('bullets')}</ul>` : ''}
+                </div>`,
+            details: page => `
+                <div class="az-details" id="about-section">
+                    ${page.has('brandImages') ? `
+                    <section class="az-section">
+                        <h2>${page.label('brandImages')}</h2>
+                        <div class="az-brand-images" id="pdpBrandImages">${page.brandImages()}</div>
+                    </section>` : ''}
+                    ${page.has('fullDescription') ? `
+                    <section class="az-section">
+                        <h2>${page.label('fullDescription')}</h2>
+                        <p id="pdpDescription">${page.text('fullDescription')}</p>
+                    </section>` : ''}
+                    ${page.has('detailsBullets') ? `
+                    <section class="az-section">
+                        <h2>${page.label('detailsBullets')}</h2>
+                        <ul class="az-detail-list">${page.details(d => `<li>${d.name ? `<span class="az-detail-name">${escapeHtml(d.name)}</span> : ` : ''}${escapeHtml(d.value)}</li>`)}</ul>
+                    </section>` : ''}
+                    ${page.has('ingredients') ? `
+                    <section class="az-section">
+                        <h2>Important information</h2>
+                        <h4>${page.label('ingredients')}</h4>
+                        <p>${page.text('ingredients')}</p>
+                    </section>` : ''}
+                </div>`,
+            buyBox: page => `
+                <div class="az-buy-box">
+                    <div class="az-price"><span class="az-price-symbol">$</span><span class="az-price-whole">${page.priceParts.whole}</span><span class="az-price-fraction">${page.priceParts.fraction}</span></div>
+                    <div class="az-delivery">FREE delivery <strong>Tuesday</strong>. Order within 5 hrs 12 mins</div>
+                    <div class="az-stock">In Stock</div>
+                    <div class="az-qty">Quantity: 1 ▾</div>
+                    <button class="az-btn az-btn-cart">Add to Cart</button>
+                    <button class="az-btn az-btn-buy">Buy Now</button>
+                    <table class="az-seller">
+                        <tr><td>Ships from</td><td>Amazon</td></tr>
+                        <tr><td>Sold by</td><td>${page.text('brand', 'Brand')}</td></tr>
+                        <tr><td>Returns</td><td>30-day refund/replacement</td></tr>
+                    </table>
+                </div>`
+        },
+
+        target: {
+            header: () => `
+                <header class="tg-header">
+                    <a href="#" class="tg-logo" aria-label="Target"></a>
+                    <nav class="tg-nav"><span>Categories</span><span>Deals</span><span>What's New</span><span>Pickup &amp; Delivery</span></nav>
+                    <div class="tg-search"><input type="text" placeholder="What can we help you find?"><button>🔍</button></div>
+                    <span class="tg-header-link">👤 Sign in</span>
+                    <span class="tg-header-link">🛒</span>
+                </header>`,
+            product: page => `
+                ${page.gallery()}
+                <div class="tg-info">
+                    <a href="#" class="tg-brand">Shop all ${page.text('brand', 'Brand')}</a>
+                    <h1 class="tg-title">${page.text('title', 'Product Title')}</h1>
+                    <div class="tg-rating"><span class="tg-stars">★★★★★</span><span>4.6</span><a href="#">2,402 ratings</a></div>
+                    <div class="tg-price">${page.price}</div>
+                    <div class="tg-note">When purchased online</div>
+                    ${page.has('packSize') ? `
+                    <div class="tg-label">${page.label('packSize')} <strong>${page.text('packSize')}</strong></div>
+                    <div class="tg-options"><span class="tg-option selected">${page.text('packSize')}</span></div>` : ''}
+                    <div class="tg-fulfillment">
+                        <div class="tg-fulfillment-option"><strong>Pickup</strong><span>Ready within 2 hours</span></div>
+                        <div class="tg-fulfillment-option"><strong>Delivery</strong><span>As soon as 1pm today</span></div>
+                        <div class="tg-fulfillment-option selected"><strong>Shipping</strong><span>Arrives by Thu</span></div>
+                    </div>
+                    <button class="tg-add">Add to cart</button>
+                </div>`,
+            details: page => `
+                <div class="tg-details" id="about-section">
+                    <h2>About this item</h2>
+                    <div class="tg-tabs"><span class="tg-tab active">Details</span><span class="tg-tab">Shipping &amp; Returns</span><span class="tg-tab">Q&amp;A</span></div>
+                    <div class="tg-details-grid">
+                        <div>
+                            ${page.has('bullets') ? `<h3>${page.label('bullets')}</h3><ul>${page.listItems('bullets')}</ul>` : ''}
+                            ${page.has('detailsBullets') ? `<h3>${page.label('detailsBullets')}</h3>
+                            ${page.details(d => `<div class="tg-spec">${d.name ? `<strong>${escapeHtml(d.name)}:</strong> ` : ''}${escapeHtml(d.value)}</div>`)}` : ''}
+                        </div>
+                        <div>
+                            ${page.has('fullDescription') ? `<h3>${page.label('fullDescription')}</h3><p id="pdpDescription">${page.text('fullDescription')}</p>` : ''}
+                            ${page.has('ingredients') ? `<h3>${page.label('ingredients')}</h3><p>${page.text('ingredients')}</p>` : ''}
+                        </div>
+                    </div>
+                    ${page.has('brandImages') ? `
+                    <h2>${page.label('brandImages')}</h2>
+                    <div class="tg-brand-images" id="pdpBrandImages">${page.brandImages()}</div>` : ''}
+                </div>`,
+            buyBox: () => ''
+        },
+
+        generic: {
+            header: page => `
+                <div class="dtc-announcement">Free shipping on orders over $50</div>
+                <header class="dtc-header">
+                    <nav class="dtc-nav"><span>Shop</span><span>About</span><span>Journal</span></nav>
+                    <a href="#" class="dtc-wordmark">${page.text('brand', 'Brand')}</a>
+                    <div class="dtc-actions"><span>Search</span><span>Account</span><span>Bag (0)</span></div>
+                </header>`,
+            product: page => `
+                ${page.gallery()}
+                <div class="dtc-info">
+                    <div class="dtc-rating">★★★★★ <span>2,402 reviews</span></div>
+                    <h1 class="dtc-title">${page.text('title', 'Product Title')}</h1>
+                    <div class="dtc-price">${page.price}</div>
+                    ${page.has('packSize') ? `
+                    <div class="dtc-label">${page.label('packSize')}</div>
+                    <div class="dtc-options"><span class="dtc-option selected">${page.text('packSize')}</span></div>` : ''}
+                    <button class="dtc-add">Add to bag · ${page.price}</button>
+                    <div class="dtc-note">Free shipping and 30-day returns</div>
+                    ${page.has('bullets') ? `
+                    <div class="dtc-benefits">
+                        <h3>${page.label('bullets')}</h3>
+                        <ul>${page.listItems('bullets')}</ul>
+                    </div>` : ''}
+                </div>`,
+            details: page => `
+                <div class="dtc-details" id="about-section">
+                    ${page.has('fullDescription') ? `
+                    <section class="dtc-story">
+                        <h2>${page.label('fullDescription')}</h2>
+                        <p id="pdpDescription">${page.text('fullDescription')}</p>
+                    </section>` : ''}
+                    <div class="dtc-accordion">
+                        ${page.has('detailsBullets') ? `<details open><summary>${page.label('detailsBullets')}</summary><ul>${page.listItems('detailsBullets')}</ul></details>` : ''}
+                        ${page.has('ingredients') ? `<details><summary>${page.label('ingredients')}</summary><p>${page.text('ingredients')}</p></details>` : ''}
+                        <details><summary>Shipping &amp; returns</summary><p>Free shipping on orders over $50. Free returns within 30 days.</p></details>
+                    </div>
+                    ${page.has('brandImages') ? `
+                    <section>
+                        <h2>${page.label('brandImages')}</h2>
+                        <div class="dtc-brand-images" id="pdpBrandImages">${page.brandImages()}</div>
+                    </section>` : ''}
+                </div>`,
+            buyBox: () => ''
+        }
+    };
+
+    // Renders data as the retailer's page into the page's slots
+    // ({ root, header, product, details, buyBox }); root gets the
+    // pdp-<retailer> class the template styles key off.
+    // options: { assetUrl(ref, size), placeholders }
+    function render(slots, retailerId, data, options) {
+        const retailer = get(retailerId);
+        const template = TEMPLATES[retailer.id] || TEMPLATES[DEFAULT_RETAILER];
+        const page = createPage(retailer, data, options);
+
+        Object.keys(TEMPLATES).forEach(id => slots.root.classList.toggle(`pdp-${id}`, id === retailer.id));
+        slots.header.innerHTML = template.header(page);
+        slots.product.innerHTML = template.product(page);
+        slots.details.innerHTML = template.details(page);
+        slots.buyBox.innerHTML = template.buyBox(page);
+        return retailer;
+    }
+
+    return { DEFAULT_RETAILER, load, get, list: () => retailers, render };
+})();
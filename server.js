@@ -3,11 +3,37 @@ const path = require('path');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const cookieParser = require('cookie-parser');
-const { createClient } = require('@supabase/supabase-js');
+const { createStorage, createBlobStore } = require('./lib/storage');
+const { createAssetService, isAssetId, isSupportedType, isVariantSize, parseDataUrl } = require('./lib/assets');
+const { cropRegion, readDimensions } = require('./lib/images');
+const { createMailer } = require('./lib/mail');
+const { hashPassword, verifyPassword } = require('./lib/passwords');
+const { diffMockupData } = require('./lib/diff');
+const { findMentions } = require('./lib/mentions');
+const { createEventHub } = require('./lib/realtime');
+const { createNotifier, NOTIFICATION_CHANNELS } = require('./lib/notifications');
+const { createWebhookSecret, nextRetryDelay, checkWebhookUrl, sendWebhook } = require('./lib/webhooks');
+const { feedbackToCsv, feedbackToHtml } = require('./lib/feedback-export');
+const { escapeHtml } = require('./lib/html');
+const { readZip } = require('./lib/zip');
+const { toCsv, toXlsx } = require('./lib/spreadsheet');
+const { ITEM_SETUP_FIELDS, DEFAULT_ITEM_SETUP_COLUMNS, parseItemSetupColumns, itemSetupValues, itemSetupRows } = require('./lib/item-setup');
+const { MAX_IMPORT_ROWS, parseProductFile, createImageIndex, validateProduct } = require('./lib/product-import');
+const { lintListing, describeLintRules, parseLintRules } = require('./lib/content-lint');
+const { checkImageCompliance, worstStatus } = require('./lib/image-compliance');
+const { getRetailer, listRetailers } = require('./lib/retailers');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Public address for links in emails and exports. It comes from config, never
+// from the request's Host header, which a caller can set to anything.
+const APP_URL = (process.env.APP_URL || (process.env.NODE_ENV === 'production' ? '' : `http://localhost:${PORT}`)).replace(/\/$/, '');
+if (!APP_URL) {
+    console.error('APP_URL must be set to the public address of the app in production');
+    process.exit(1);
+}
+
 // JWT secret - in production, use a strong secret from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production-' + crypto.randomBytes(16).toString('hex');
 const JWT_EXPIRES_IN = '7d'; // Token expires in 7 days
@@ -15,16 +41,30 @@ const JWT_EXPIRES_IN = '7d'; // Token expires in 7 days
 // Gemini API
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-    console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
+// Initialize storage (Supabase when configured, local JSON file otherwise)
+let storage;
+let blobs;
+let mailer;
+let notifier;
+try {
+    storage = createStorage();
+    blobs = createBlobStore();
+    mailer = createMailer();
+    notifier = createNotifier({ mailer });
+} catch (err) {
+    console.error(err.message);
     process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+const assets = createAssetService({ storage, blobs });
+const events = createEventHub();
+
+// Behind a proxy, req.ip is the proxy's address unless it is trusted to pass
+// on the client's in X-Forwarded-For (e.g. TRUST_PROXY=1 for one proxy)
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 app.use(express.json({ limit: '50mb' }));
 app.use(cookieParser());
@@ -36,9 +76,8 @@ function generateId() {
     return crypto.randomBytes(4).toString('hex');
 }
 
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
-}
+const MIN_PASSWORD_LENGTH = 8;
+const USER_ROLES = ['admin', 'user'];
 
 // ============ AUTH MIDDLEWARE ============
 
@@ -59,22 +98,326 @@ function authenticateToken(req, res, next) {
     }
 }
 
-// API version of auth middleware (returns JSON instead of redirect)
-function authenticateAPI(req, res, next) {
+// API version of auth middleware (returns JSON instead of redirect).
+// Also resolves the user's workspaces and their role in the active one
+// (req.workspace = { id, name, role }), which route guards check below.
+async function authenticateAPI(req, res, next) {
     const token = req.cookies.auth_token;
     
     if (!token) {
         return res.status(401).json({ success: false, error: 'Not authenticated' });
     }
     
+    let user;
     try {
-        const user = jwt.verify(token, JWT_SECRET);
-        req.user = user;
-        next();
+        user = jwt.verify(token, JWT_SECRET);
     } catch (err) {
         res.clearCookie('auth_token');
         return res.status(401).json({ success: false, error: 'Invalid token' });
     }
+
+    try {
+        // Deactivated or deleted accounts lose access even with a valid token,
+        // and role changes apply without signing in again
+        const account = await storage.findOne('users', { id: user.id }, { columns: 'id, email, role, active' });
+        if (!account || account.active === false) {
+            res.clearCookie('auth_token');
+            return res.status(401).json({ success: false, error: 'Account is no longer active' });
+        }
+
+        req.user = { ...user, email: account.email, role: account.role };
+        req.workspaces = await getWorkspaceMemberships(req.user);
+        req.workspace = req.workspaces.find(w => w.id === req.cookies.workspace_id) || req.workspaces[0];
+        next();
+    } catch (error) {
+        console.error('Error loading workspaces:', error);
+        res.status(500).json({ success: false, error: 'Failed to load workspaces' });
+    }
+}
+
+// Used after authenticateAPI for the user management API
+function requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+    next();
+}
+
+// Signed-in user for routes that are public but behave differently for designers
+function getOptionalUser(req) {
+    const token = req.cookies.auth_token;
+    if (!token) return null;
+    try {
+        return jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+}
+
+// ============ WORKSPACES & PERMISSIONS ============
+
+// What each workspace role may do with the workspace's mockups
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'create', 'edit', 'archive', 'resolve', 'delete', 'share', 'manage'],
+    designer: ['view', 'create', 'edit', 'archive', 'resolve'],
+    reviewer: ['view', 'resolve']
+};
+const WORKSPACE_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Mockups can also be shared directly with someone outside the workspace
+const SHARE_PERMISSIONS = {
+    editor: ['view', 'edit', 'archive', 'resolve'],
+    viewer: ['view']
+};
+const SHARE_ROLES = Object.keys(SHARE_PERMISSIONS);
+
+async function createWorkspace(name, userId) {
+    const workspace = await storage.insert('workspaces', { id: generateId(), name, created_by: userId });
+    await storage.insert('workspace_members', {
+        id: generateId(),
+        workspace_id: workspace.id,
+        user_id: userId,
+        role: 'owner'
+    });
+    return workspace;
+}
+
+// Returns [{ id, name, role }]. Users from before workspaces existed get a
+// personal workspace holding the mockups they created.
+async function getWorkspaceMemberships(user) {
+    let memberships = await storage.find('workspace_members', { where: { user_id: user.id } });
+
+    if (memberships.length === 0) {
+        const workspace = await createWorkspace(`${user.email.split('@')[0]}'s workspace`, user.id);
+        await storage.update('mockups', { user_id: user.id, workspace_id: null }, { workspace_id: workspace.id });
+        memberships = await storage.find('workspace_members', { where: { user_id: user.id } });
+    }
+
+    const workspaces = await storage.find('workspaces', {
+        where: { id: memberships.map(m => m.workspace_id) },
+        orderBy: 'created_at',
+        ascending: true
+    });
+    const roles = Object.fromEntries(memberships.map(m => [m.workspace_id, m.role]));
+
+    return workspaces.map(w => ({ id: w.id, name: w.name, role: roles[w.id] }));
+}
+
+// Combines a role in the mockup's workspace with any direct share. Mockups
+// not yet moved into a workspace still belong to whoever created them.
+function mockupPermissions(mockup, userId, workspaceRole, shareRole) {
+    if (!mockup.workspace_id && mockup.user_id === userId) return ROLE_PERMISSIONS.owner;
+
+    const permissions = new Set([
+        ...(ROLE_PERMISSIONS[workspaceRole] || []),
+        ...(SHARE_PERMISSIONS[shareRole] || [])
+    ]);
+    return [...permissions];
+}
+
+async function getMockupPermissions(mockup, userId) {
+    if (!mockup || !userId) return [];
+
+    const member = mockup.workspace_id
+        ? await storage.findOne('workspace_members', { workspace_id: mockup.workspace_id, user_id: userId })
+        : null;
+    const share = await storage.findOne('mockup_shares', { mockup_id: mockup.id, user_id: userId });
+
+    return mockupPermissions(mockup, userId, member?.role, share?.role);
+}
+
+// Guard for /api/mockups/:id routes, used after authenticateAPI. Loads the
+// mockup into req.mockup and rejects users without the given permission.
+function requireMockupAccess(permission) {
+    return async (req, res, next) => {
+        try {
+            const mockup = await storage.findOne('mockups', { id: req.params.id });
+
+            if (!mockup) {
+                return res.status(404).json({ success: false, error: 'Mockup not found' });
+            }
+
+            const permissions = await getMockupPermissions(mockup, req.user.id);
+            if (!permissions.includes(permission)) {
+                return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+            }
+
+            req.mockup = mockup;
+            req.mockupPermissions = permissions;
+            next();
+        } catch (error) {
+            console.error('Error checking mockup access:', error);
+            res.status(500).json({ success: false, error: 'Failed to check access' });
+        }
+    };
+}
+
+// Guard for actions on the active workspace itself (e.g. creating a mockup)
+function requireWorkspacePermission(permission) {
+    return (req, res, next) => {
+        if (!req.workspace || !ROLE_PERMISSIONS[req.workspace.role]?.includes(permission)) {
+            return res.status(403).json({ success: false, error: 'Your workspace role does not allow this' });
+        }
+        next();
+    };
+}
+
+// Guard for /api/workspaces/:workspaceId routes
+function requireWorkspaceMember(permission) {
+    return (req, res, next) => {
+        const workspace = req.workspaces.find(w => w.id === req.params.workspaceId);
+        if (!workspace) {
+            return res.status(404).json({ success: false, error: 'Workspace not found' });
+        }
+        if (permission && !ROLE_PERMISSIONS[workspace.role].includes(permission)) {
+            return res.status(403).json({ success: false, error: 'Only workspace owners can do this' });
+        }
+        req.targetWorkspace = workspace;
+        next();
+    };
+}
+
+// ============ VIEWER ACCESS ============
+
+// Clients reach a mockup through its main URL (/mockup/:id, with the
+// mockup's optional password; owners can switch it off) or through a named
+// share link (/s/:token) with its own password, expiry, view limit, pinned
+// version and comments flag.
+//
+// Opening either one issues a viewer token scoped to the mockup. It is set as
+// a cookie on the mockup's API path, and can also be sent as
+// "Authorization: Bearer <token>". Tokens are signed with their own key so
+// they can never pass as a login token, and carry a fingerprint of the
+// password hash so changing the password revokes them.
+const VIEWER_TOKEN_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('viewer-token').digest('hex');
+const VIEWER_TOKEN_TTL_SECONDS = 12 * 60 * 60; // 12 hours
+
+function passwordFingerprint(passwordHash) {
+    if (!passwordHash) return '';
+    return crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 16);
+}
+
+function viewerCookieOptions(mockupId) {
+    return {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        path: `/api/mockups/${mockupId}`
+    };
+}
+
+// link is the share link the viewer came through, or null for the main URL
+function issueViewerToken(res, mockup, link = null) {
+    const claims = link
+        ? { mockupId: mockup.id, linkId: link.id, pwd: passwordFingerprint(link.password_hash) }
+        : { mockupId: mockup.id, pwd: passwordFingerprint(mockup.password_hash) };
+    const token = jwt.sign(claims, VIEWER_TOKEN_SECRET, { expiresIn: VIEWER_TOKEN_TTL_SECONDS });
+    res.cookie('viewer_token', token, { ...viewerCookieOptions(mockup.id), maxAge: VIEWER_TOKEN_TTL_SECONDS * 1000 });
+    return token;
+}
+
+function readViewerToken(req) {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.cookies.viewer_token;
+    if (!token) return null;
+
+    try {
+        return jwt.verify(token, VIEWER_TOKEN_SECRET);
+    } catch (err) {
+        return null;
+    }
+}
+
+// 'active', 'revoked', 'expired' or 'limit_reached'. The view limit only
+// stops new visitors; anyone who already opened the link keeps their session.
+function shareLinkStatus(link) {
+    if (link.revoked_at) return 'revoked';
+    if (link.expires_at && new Date(link.expires_at) < new Date()) return 'expired';
+    if (link.max_views && link.view_count >= link.max_views) return 'limit_reached';
+    return 'active';
+}
+
+function isLinkSessionValid(link, claims) {
+    return ['active', 'limit_reached'].includes(shareLinkStatus(link)) &&
+        claims.pwd === passwordFingerprint(link.password_hash);
+}
+
+// Works out how this request may see the mockup: { link } where link is the
+// share link in use (null for the main URL and team members), or null if it
+// may not see it at all.
+async function getViewerAccess(req, mockup) {
+    const user = getOptionalUser(req);
+    const account = user && await storage.findOne('users', { id: user.id }, { columns: 'id, active' });
+    if (account && account.active !== false) {
+        const permissions = await getMockupPermissions(mockup, account.id);
+        if (permissions.includes('view')) return { link: null };
+    }
+
+    const mainUrlOpen = mockup.public_access !== false;
+    const claims = readViewerToken(req);
+
+    if (claims && claims.mockupId === mockup.id) {
+        if (claims.linkId) {
+            const link = await storage.findOne('share_links', { id: claims.linkId, mockup_id: mockup.id });
+            if (link && isLinkSessionValid(link, claims)) return { link };
+        } else if (mainUrlOpen && claims.pwd === passwordFingerprint(mockup.password_hash)) {
+            return { link: null };
+        }
+    }
+
+    if (mainUrlOpen && !mockup.password_hash) return { link: null };
+    return null;
+}
+
+function denyViewer(res, mockup) {
+    if (mockup.public_access === false) {
+        return res.status(403).json({ success: false, error: 'This mockup is no longer shared at this link' });
+    }
+    return res.status(401).json({ success: false, passwordProtected: true, error: 'This mockup is password protected' });
+}
+
+// Guard for the public (client-facing) /api/mockups/:id routes. Loads the
+// mockup into req.mockup and the share link in use (if any) into req.shareLink.
+async function requireViewerAccess(req, res, next) {
+    try {
+        const mockup = await storage.findOne('mockups', { id: req.params.id });
+
+        if (!mockup) {
+            return res.status(404).json({ success: false, error: 'Mockup not found' });
+        }
+
+        const access = await getViewerAccess(req, mockup);
+        if (!access) return denyViewer(res, mockup);
+
+        req.mockup = mockup;
+        req.shareLink = access.link;
+        next();
+    } catch (error) {
+        console.error('Error checking viewer access:', error);
+        res.status(500).json({ success: false, error: 'Failed to check access' });
+    }
+}
+
+// Used after requireViewerAccess on routes that add or change comments
+function requireCommentAccess(req, res, next) {
+    const link = req.shareLink;
+    if (link && !link.allow_comments) {
+        return res.status(403).json({ success: false, error: 'Comments are turned off for this link' });
+    }
+    if (link && link.pinned_version && link.pinned_version !== req.mockup.current_version) {
+        return res.status(403).json({ success: false, error: 'Comments are closed for this version' });
+    }
+    next();
+}
+
+// Used after requireViewerAccess on the sign-off route. Links created before
+// approvals had their own switch have no allow_approvals and stay open.
+function requireApprovalAccess(req, res, next) {
+    const link = req.shareLink;
+    if (link && link.allow_approvals === false) {
+        return res.status(403).json({ success: false, error: 'Sign-off is turned off for this link' });
+    }
+    next();
 }
 
 // ============ AUTH ROUTES ============
@@ -104,39 +447,27 @@ app.post('/api/auth/login', async (req, res) => {
         }
         
         // Find user
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('*')
-            .eq('email', email.toLowerCase())
-            .single();
+        const user = await storage.findOne('users', { email: email.toLowerCase() });
         
-        if (error || !user) {
+        if (!user) {
             return res.status(401).json({ success: false, error: 'Invalid email or password' });
         }
         
         // Check password
-        if (hashPassword(password) !== user.password_hash) {
+        const { valid, needsRehash } = await verifyPassword(password, user.password_hash);
+        if (!valid) {
             return res.status(401).json({ success: false, error: 'Invalid email or password' });
         }
+
+        if (user.active === false) {
+            return res.status(403).json({ success: false, error: 'This account has been deactivated' });
+        }
+
+        if (needsRehash) {
+            await storage.update('users', { id: user.id }, { password_hash: await hashPassword(password) });
+        }
         
-        // Generate JWT
-        const token = jwt.sign(
-            { 
-                id: user.id, 
-                email: user.email, 
-                role: user.role 
-            }, 
-            JWT_SECRET, 
-            { expiresIn: JWT_EXPIRES_IN }
-        );
-        
-        // Set cookie
-        res.cookie('auth_token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'lax',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        setAuthCookie(res, user);
         
         res.json({ 
             success: true, 
@@ -152,6 +483,25 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+function setAuthCookie(res, user) {
+    const token = jwt.sign(
+        { 
+            id: user.id, 
+            email: user.email, 
+            role: user.role 
+        }, 
+        JWT_SECRET, 
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+    
+    res.cookie('auth_token', token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+}
+
 // Logout API
 app.post('/api/auth/logout', (req, res) => {
     res.clearCookie('auth_token');
@@ -175,6 +525,300 @@ app.get('/api/auth/me', (req, res) => {
     }
 });
 
+// ============ INVITES & PASSWORD RESET ============
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;   // 7 days
+const RESET_TTL_MS = 60 * 60 * 1000;              // 1 hour
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Invite and reset tokens are only stored hashed; the raw token only
+// exists in the emailed link
+async function createUserToken(type, fields, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await storage.insert('user_tokens', {
+        id: generateId(),
+        type,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
+        ...fields
+    });
+    return token;
+}
+
+// Returns the token row, or null if it is unknown or expired
+async function findUserToken(type, token) {
+    if (typeof token !== 'string' || !token) return null;
+    const row = await storage.findOne('user_tokens', { type, token_hash: hashToken(token) });
+    if (!row || new Date(row.expires_at) < new Date()) return null;
+    return row;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+async function sendInviteEmail(req, email, token) {
+    const link = `${APP_URL}/invite/${token}`;
+    await mailer.send({
+        to: email,
+        subject: 'You\'ve been invited to PDP Mockup Generator',
+        text: `${req.user.email} invited you to PDP Mockup Generator.\n\nSet your password to get started:\n${link}\n\nThis link expires in 7 days.`,
+        html: `<p>${escapeHtml(req.user.email)} invited you to PDP Mockup Generator.</p><p><a href="${link}">Set your password to get started</a></p><p>This link expires in 7 days.</p>`
+    });
+}
+
+async function sendResetEmail(req, email, token) {
+    const link = `${APP_URL}/reset-password/${token}`;
+    await mailer.send({
+        to: email,
+        subject: 'Reset your PDP Mockup Generator password',
+        text: `Someone asked to reset the password for ${email}.\n\nChoose a new password here:\n${link}\n\nThis link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+        html: `<p>Someone asked to reset the password for ${email}.</p><p><a href="${link}">Choose a new password</a></p><p>This link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+    });
+}
+
+// Invite and reset pages share one "set password" form
+app.get(['/invite/:token', '/reset-password/:token'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'set-password.html'));
+});
+
+// Look up an invite so the page can show who it is for
+app.get('/api/auth/invite/:token', async (req, res) => {
+    try {
+        const invite = await findUserToken('invite', req.params.token);
+        if (!invite) {
+            return res.status(404).json({ success: false, error: 'This invite link is invalid or has expired' });
+        }
+        res.json({ success: true, email: invite.email });
+    } catch (error) {
+        console.error('Error loading invite:', error);
+        res.status(500).json({ success: false, error: 'Failed to load invite' });
+    }
+});
+
+// Accept an invite: create the account and sign in
+app.post('/api/auth/invite/accept', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const invite = await findUserToken('invite', token);
+        if (!invite) {
+            return res.status(400).json({ success: false, error: 'This invite link is invalid or has expired' });
+        }
+
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ success: false, error: passwordError });
+        }
+
+        const existing = await storage.findOne('users', { email: invite.email });
+        if (existing) {
+            await storage.remove('user_tokens', { id: invite.id });
+            return res.status(409).json({ success: false, error: 'An account with this email already exists. Please sign in.' });
+        }
+
+        const user = await storage.insert('users', {
+            id: crypto.randomUUID(),
+            email: invite.email,
+            password_hash: await hashPassword(password),
+            role: invite.role || 'user',
+            active: true
+        });
+        await storage.remove('user_tokens', { id: invite.id });
+
+        setAuthCookie(res, user);
+        res.json({ success: true, user: { id: user.id, email: user.email, role: user.role } });
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+        res.status(500).json({ success: false, error: 'Failed to accept invite' });
+    }
+});
+
+// Start a password reset. Always succeeds so it can't be used to probe
+// which emails have accounts.
+app.post('/api/auth/password/forgot', async (req, res) => {
+    try {
+        const email = (req.body.email || '').trim().toLowerCase();
+
+        const user = email ? await storage.findOne('users', { email }) : null;
+        if (user && user.active !== false) {
+            await storage.remove('user_tokens', { type: 'reset', user_id: user.id });
+            const token = await createUserToken('reset', { user_id: user.id, email }, RESET_TTL_MS);
+            await sendResetEmail(req, email, token);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error starting password reset:', error);
+        res.status(500).json({ success: false, error: 'Failed to send reset email' });
+    }
+});
+
+app.post('/api/auth/password/reset', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const reset = await findUserToken('reset', token);
+        if (!reset) {
+            return res.status(400).json({ success: false, error: 'This reset link is invalid or has expired' });
+        }
+
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ success: false, error: passwordError });
+        }
+
+        const user = await storage.findOne('users', { id: reset.user_id });
+        if (!user || user.active === false) {
+            return res.status(400).json({ success: false, error: 'This account is no longer active' });
+        }
+
+        await storage.update('users', { id: user.id }, { password_hash: await hashPassword(password) });
+        await storage.remove('user_tokens', { type: 'reset', user_id: user.id });
+
+        setAuthCookie(res, user);
+        res.json({ success: true, user: { id: user.id, email: user.email, role: user.role } });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ success: false, error: 'Failed to reset password' });
+    }
+});
+
+// ============ USER ADMIN API (admins only) ============
+
+app.get('/api/admin/users', authenticateAPI, requireAdmin, async (req, res) => {
+    try {
+        const users = await storage.find('users', {
+            columns: 'id, email, role, active, created_at',
+            orderBy: 'created_at',
+            ascending: true
+        });
+        const invites = await storage.find('user_tokens', {
+            where: { type: 'invite' },
+            columns: 'id, email, role, expires_at, created_at',
+            orderBy: 'created_at',
+            ascending: false
+        });
+
+        res.json({
+            success: true,
+            users: users.map(u => ({ ...u, active: u.active !== false })),
+            invites: invites.map(i => ({ ...i, expired: new Date(i.expires_at) < new Date() }))
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ success: false, error: 'Failed to list users' });
+    }
+});
+
+// Invite someone by email; re-inviting replaces their previous link
+app.post('/api/admin/invites', authenticateAPI, requireAdmin, async (req, res) => {
+    try {
+        const email = (req.body.email || '').trim().toLowerCase();
+        const role = req.body.role || 'user';
+
+        if (!email || !USER_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Email and a role (${USER_ROLES.join(', ')}) are required` });
+        }
+
+        if (await storage.findOne('users', { email })) {
+            return res.status(409).json({ success: false, error: 'A user with that email already exists' });
+        }
+
+        await storage.remove('user_tokens', { type: 'invite', email });
+        const token = await createUserToken('invite', { email, role, created_by: req.user.id }, INVITE_TTL_MS);
+        await sendInviteEmail(req, email, token);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error inviting user:', error);
+        res.status(500).json({ success: false, error: 'Failed to send invite' });
+    }
+});
+
+app.delete('/api/admin/invites/:inviteId', authenticateAPI, requireAdmin, async (req, res) => {
+    try {
+        await storage.remove('user_tokens', { id: req.params.inviteId, type: 'invite' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke invite' });
+    }
+});
+
+// Change a user's role or (de)activate their account
+app.put('/api/admin/users/:userId', authenticateAPI, requireAdmin, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role, active } = req.body;
+
+        if (userId === req.user.id) {
+            return res.status(400).json({ success: false, error: 'You can\'t change your own account here' });
+        }
+
+        const patch = {};
+        if (role !== undefined) {
+            if (!USER_ROLES.includes(role)) {
+                return res.status(400).json({ success: false, error: `Role must be one of ${USER_ROLES.join(', ')}` });
+            }
+            patch.role = role;
+        }
+        if (active !== undefined) patch.active = !!active;
+        if (Object.keys(patch).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+
+        const [user] = await storage.update('users', { id: userId }, patch);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        if (patch.active === false) {
+            await storage.remove('user_tokens', { type: 'reset', user_id: userId });
+        }
+        await recheckAllStreams();
+
+        res.json({ success: true, user: { id: user.id, email: user.email, role: user.role, active: user.active !== false } });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ success: false, error: 'Failed to update user' });
+    }
+});
+
+// Mockups they created stay with their workspace
+app.delete('/api/admin/users/:userId', authenticateAPI, requireAdmin, async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (userId === req.user.id) {
+            return res.status(400).json({ success: false, error: 'You can\'t delete your own account' });
+        }
+
+        await storage.remove('workspace_members', { user_id: userId });
+        await storage.remove('mockup_shares', { user_id: userId });
+        await storage.remove('user_tokens', { user_id: userId });
+        await storage.update('comments', { assignee_id: userId }, { assignee_id: null });
+        const subscriptions = await storage.find('notification_subscriptions', { where: { user_id: userId }, columns: 'id' });
+        if (subscriptions.length > 0) {
+            await storage.remove('notification_events', { subscription_id: subscriptions.map(s => s.id) });
+            await storage.remove('notification_subscriptions', { user_id: userId });
+        }
+        await storage.remove('users', { id: userId });
+        await recheckAllStreams();
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete user' });
+    }
+});
+
 // ============ PROTECTED PAGE ROUTES ============
 
 // Dashboard - protected
@@ -187,33 +831,70 @@ app.get('/editor', authenticateToken, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// User management - admins only (the API re-checks the role)
+app.get('/admin', authenticateToken, (req, res) => {
+    if (req.user.role !== 'admin') return res.redirect('/');
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 // ============ MOCKUPS API (Protected) ============
 
-// List all mockups (for dashboard)
+// List the active workspace's mockups plus any shared with the user directly (for dashboard)
 app.get('/api/mockups', authenticateAPI, async (req, res) => {
     try {
-        const { data: mockups, error } = await supabase
-            .from('mockups')
-            .select('*')
-            .order('updated_at', { ascending: false });
-
-        if (error) throw error;
+        const inWorkspace = await storage.find('mockups', { where: { workspace_id: req.workspace.id } });
+
+        const shares = await storage.find('mockup_shares', { where: { user_id: req.user.id } });
+        const shareRoles = Object.fromEntries(shares.map(s => [s.mockup_id, s.role]));
+        const sharedIds = shares.map(s => s.mockup_id).filter(id => !inWorkspace.some(m => m.id === id));
+        const shared = sharedIds.length
+            ? await storage.find('mockups', { where: { id: sharedIds } })
+            : [];
+
+        const mockups = [...inWorkspace, ...shared]
+            .sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')));
+
+        // Content rules are per workspace; look each one up once
+        const lintRules = new Map();
+        const rulesFor = workspaceId => {
+            if (!lintRules.has(workspaceId)) lintRules.set(workspaceId, getLintRules(workspaceId));
+            return lintRules.get(workspaceId);
+        };
 
-        // Get unresolved comment counts for each mockup
+        // Feedback on each mockup's current version, counted by workflow status
         const mockupsWithCounts = await Promise.all(mockups.map(async (mockup) => {
-            const { count, error: countError } = await supabase
-                .from('comments')
-                .select('*', { count: 'exact', head: true })
-                .eq('mockup_id', mockup.id)
-                .eq('resolved', false);
+            const comments = await storage.find('comments', {
+                where: { mockup_id: mockup.id, version_number: mockup.current_version || 1 },
+                columns: 'status, resolved'
+            });
+            const commentsByStatus = Object.fromEntries(COMMENT_STATUSES.map(status => [status, 0]));
+            comments.forEach(c => commentsByStatus[commentStatus(c)]++);
+            const views = await storage.count('view_events', { mockup_id: mockup.id });
+            const approvals = await findApprovalStatuses(mockup.id, [mockup.current_version || 1]);
+            const { score, errors, warnings } = lintListing(mockup.data, await rulesFor(mockup.workspace_id));
+
+            // Only the first image is needed for the card, so don't ship the rest
+            const { images, brandImages, ...summary } = mockup.data || {};
 
             return {
                 id: mockup.id,
-                data: mockup.data,
+                shared: mockup.workspace_id !== req.workspace.id,
+                permissions: mockupPermissions(
+                    mockup,
+                    req.user.id,
+                    mockup.workspace_id === req.workspace.id ? req.workspace.role : null,
+                    shareRoles[mockup.id]
+                ),
+                data: summary,
+                thumbnail: images?.[0] || null,
+                imageCount: images?.length || 0,
                 hasPassword: !!mockup.password_hash,
-                views: mockup.views,
+                views,
                 currentVersion: mockup.current_version,
-                unresolvedComments: count || 0,
+                unresolvedComments: comments.filter(c => !CLOSED_COMMENT_STATUSES.includes(commentStatus(c))).length,
+                commentsByStatus,
+                approval: approvals[mockup.current_version || 1] || null,
+                lint: { score, errors, warnings },
                 created_at: mockup.created_at,
                 updated_at: mockup.updated_at
             };
@@ -221,552 +902,2982 @@ app.get('/api/mockups', authenticateAPI, async (req, res) => {
 
         res.json({ success: true, mockups: mockupsWithCounts });
     } catch (error) {
-        console.error('Error listing mockups:', error);
-        res.status(500).json({ success: false, error: 'Failed to list mockups' });
+        console.error('Error listing mockups:', error);
+        res.status(500).json({ success: false, error: 'Failed to list mockups' });
+    }
+});
+
+// Saves a new mockup at version 1 and returns its ID
+// forkedFrom ({ mockupId, versionNumber }) is passed on in the webhook when
+// the mockup is a copy of another one's version
+async function createMockup({ data, passwordHash = null, userId, workspaceId, forkedFrom }) {
+    const id = generateId();
+    await storage.insert('mockups', {
+        id,
+        data,
+        password_hash: passwordHash,
+        current_version: 1,
+        views: 0,
+        user_id: userId,
+        workspace_id: workspaceId
+    });
+    await subscribeOwner(id, userId);
+    emitWebhookEvent(workspaceId, 'mockup.created', {
+        mockup: webhookMockup({ id, data, current_version: 1 }),
+        ...(forkedFrom && { forkedFrom })
+    });
+    return id;
+}
+
+// Create mockup - protected
+app.post('/api/mockups', authenticateAPI, requireWorkspacePermission('create'), async (req, res) => {
+    try {
+        const { password } = req.body;
+        const data = await assets.internalizeImages(req.body.data, req.user.id);
+        const passwordHash = password ? await hashPassword(password) : null;
+
+        const id = await createMockup({ data, passwordHash, userId: req.user.id, workspaceId: req.workspace.id });
+        const lint = lintListing(data, await getLintRules(req.workspace.id));
+
+        res.json({ success: true, id, lint });
+    } catch (error) {
+        console.error('Error creating mockup:', error);
+        res.status(500).json({ success: false, error: 'Failed to create mockup' });
+    }
+});
+
+// Bulk import - protected. Creates one mockup per product in a CSV or JSON
+// file: { format: 'csv' | 'json', products: <file contents>, imagesZip:
+// <base64 zip the rows' image names refer to>, dryRun }. Each row is checked
+// on its own and valid rows are created even if others fail; with dryRun
+// nothing is saved and the report only says which rows would be.
+app.post('/api/mockups/import', authenticateAPI, requireWorkspacePermission('create'), async (req, res) => {
+    try {
+        const { format, products: file, imagesZip } = req.body;
+        const dryRun = req.body.dryRun === true;
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'Format must be csv or json' });
+        }
+        if (typeof file !== 'string' || !file.trim()) {
+            return res.status(400).json({ success: false, error: 'Products file is required' });
+        }
+
+        let parsed;
+        let findImage = null;
+        try {
+            parsed = parseProductFile(file, format);
+            if (imagesZip) findImage = createImageIndex(readZip(Buffer.from(String(imagesZip), 'base64')));
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        if (parsed.products.length === 0) {
+            return res.status(400).json({ success: false, error: 'The file has no products' });
+        }
+        if (parsed.products.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ success: false, error: `Import at most ${MAX_IMPORT_ROWS} products at a time` });
+        }
+
+        const rows = [];
+        for (const [index, product] of parsed.products.entries()) {
+            const { data, images, errors } = validateProduct(product, findImage);
+            const row = { row: index + 1, title: data.title || null, imageCount: images.images.length + images.brandImages.length };
+
+            // Every image in the row is opened before any is stored, so a
+            // damaged file fails its row without leaving the row's other
+            // images behind, and a dry run reports it too
+            const opened = {};
+            if (errors.length === 0) {
+                for (const [field, found] of Object.entries(images)) {
+                    opened[field] = [];
+                    for (const { entry, mimeType } of found) {
+                        try {
+                            const buffer = entry.read();
+                            await readDimensions(buffer);
+                            opened[field].push({ buffer, mimeType });
+                        } catch (error) {
+                            errors.push(`Image "${entry.name}" could not be read`);
+                        }
+                    }
+                }
+            }
+
+            if (errors.length > 0) {
+                rows.push({ ...row, status: 'invalid', errors });
+            } else if (dryRun) {
+                rows.push({ ...row, status: 'valid', errors });
+            } else {
+                try {
+                    for (const [field, list] of Object.entries(opened)) {
+                        data[field] = [];
+                        for (const { buffer, mimeType } of list) {
+                            data[field].push((await assets.saveAsset(buffer, mimeType, req.user.id)).id);
+                        }
+                    }
+                    const id = await createMockup({ data, userId: req.user.id, workspaceId: req.workspace.id });
+                    rows.push({ ...row, status: 'created', id, errors });
+                } catch (error) {
+                    console.error(`Error importing row ${row.row}:`, error);
+                    rows.push({ ...row, status: 'failed', errors: ['Failed to create mockup'] });
+                }
+            }
+        }
+
+        const countStatus = status => rows.filter(r => r.status === status).length;
+        res.json({
+            success: true,
+            dryRun,
+            summary: {
+                total: rows.length,
+                valid: countStatus('valid'),
+                created: countStatus('created'),
+                invalid: countStatus('invalid'),
+                failed: countStatus('failed')
+            },
+            ignoredColumns: parsed.ignoredColumns,
+            rows
+        });
+    } catch (error) {
+        console.error('Error importing mockups:', error);
+        res.status(500).json({ success: false, error: 'Failed to import mockups' });
+    }
+});
+
+// Get mockup - PUBLIC (for viewer) but also works when authenticated
+app.get('/api/mockups/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const mockup = await storage.findOne('mockups', { id });
+
+        if (!mockup) {
+            return res.status(404).json({ success: false, error: 'Mockup not found' });
+        }
+
+        const access = await getViewerAccess(req, mockup);
+        if (!access) return denyViewer(res, mockup);
+
+        // A share link can pin its viewers to one version
+        const { link } = access;
+        const version = link?.pinned_version ? String(link.pinned_version) : req.query.version;
+        const shareLink = link
+            ? {
+                name: link.name,
+                allowComments: !!link.allow_comments,
+                allowApprovals: link.allow_approvals !== false,
+                pinnedVersion: link.pinned_version || null
+            }
+            : null;
+
+        // Views are recorded separately by the viewer (POST /views), so
+        // opening a mockup in the editor doesn't count
+        const views = await storage.count('view_events', { mockup_id: id });
+
+        // Get list of versions
+        const versionsData = await storage.find('versions', {
+            where: { mockup_id: id },
+            columns: 'id, version_number, created_at',
+            orderBy: 'version_number',
+            ascending: true
+        });
+
+        const approvals = await findApprovalStatuses(id);
+
+        const versions = versionsData.map(v => ({
+            id: v.id,
+            versionNumber: v.version_number,
+            createdAt: v.created_at,
+            approval: approvals[v.version_number] || null
+        }));
+
+        // Add current version to the list
+        versions.push({
+            id: 'current',
+            versionNumber: mockup.current_version,
+            createdAt: mockup.updated_at || mockup.created_at,
+            isCurrent: true,
+            approval: approvals[mockup.current_version] || null
+        });
+        const visibleVersions = link?.pinned_version
+            ? versions.filter(v => v.versionNumber === link.pinned_version)
+            : versions;
+
+        // If requesting a specific archived version
+        if (version && version !== 'current' && parseInt(version) !== mockup.current_version) {
+            const versionData = await storage.findOne('versions', {
+                mockup_id: id,
+                version_number: parseInt(version)
+            }, { columns: 'data' });
+
+            if (versionData) {
+                return res.json({
+                    success: true,
+                    data: versionData.data,
+                    views,
+                    currentVersion: mockup.current_version,
+                    viewingVersion: parseInt(version),
+                    versions: visibleVersions,
+                    shareLink
+                });
+            }
+
+            if (link?.pinned_version) {
+                return res.status(404).json({ success: false, error: 'The version shared at this link is no longer available' });
+            }
+        }
+
+        // Lets the editor know what the signed-in user may do
+        const user = getOptionalUser(req);
+        const permissions = user ? await getMockupPermissions(mockup, user.id) : [];
+
+        res.json({
+            success: true,
+            data: mockup.data,
+            views,
+            currentVersion: mockup.current_version,
+            viewingVersion: mockup.current_version,
+            versions: visibleVersions,
+            permissions,
+            shareLink
+        });
+    } catch (error) {
+        console.error('Error getting mockup:', error);
+        res.status(500).json({ success: false, error: 'Failed to get mockup' });
+    }
+});
+
+// Check a mockup's password once and hand out a viewer token for it - PUBLIC
+app.post('/api/mockups/:id/unlock', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { password } = req.body;
+
+        const mockup = await storage.findOne('mockups', { id });
+
+        if (!mockup) {
+            return res.status(404).json({ success: false, error: 'Mockup not found' });
+        }
+
+        if (mockup.public_access === false) {
+            return res.status(403).json({ success: false, error: 'This mockup is no longer shared at this link' });
+        }
+
+        if (!mockup.password_hash) {
+            return res.json({ success: true, passwordProtected: false });
+        }
+
+        const { valid, needsRehash } = await verifyPassword(password, mockup.password_hash);
+        if (!valid) {
+            return res.status(401).json({ success: false, error: 'Invalid password' });
+        }
+
+        // Rehashing changes the fingerprint, so issue the token for the new hash
+        if (needsRehash) {
+            mockup.password_hash = await hashPassword(password);
+            await storage.update('mockups', { id }, { password_hash: mockup.password_hash });
+        }
+
+        const token = issueViewerToken(res, mockup);
+        res.json({ success: true, token, expiresIn: VIEWER_TOKEN_TTL_SECONDS });
+    } catch (error) {
+        console.error('Error unlocking mockup:', error);
+        res.status(500).json({ success: false, error: 'Failed to unlock mockup' });
+    }
+});
+
+// Update mockup - protected
+app.put('/api/mockups/:id', authenticateAPI, requireMockupAccess('edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { password } = req.body;
+        const data = await assets.internalizeImages(req.body.data, req.user.id);
+
+        const updateData = { data };
+        if (password) {
+            updateData.password_hash = await hashPassword(password);
+        }
+
+        await storage.update('mockups', { id }, updateData);
+        if (password) await recheckStreams(id);
+        const invalidatedApprovals = await invalidateApprovals(req.mockup, data);
+        notifyMockup(req, id, 'mockup', { action: 'saved' });
+        if (invalidatedApprovals > 0) {
+            notifyMockup(req, id, 'approvals', { action: 'invalidated', versionNumber: req.mockup.current_version || 1 });
+        }
+        emitWebhookEvent(req.mockup.workspace_id, 'mockup.updated', { mockup: webhookMockup({ ...req.mockup, data }) });
+        const lint = lintListing(data, await getLintRules(req.mockup.workspace_id));
+
+        res.json({ success: true, id, invalidatedApprovals, lint });
+    } catch (error) {
+        console.error('Error updating mockup:', error);
+        res.status(500).json({ success: false, error: 'Failed to update mockup' });
+    }
+});
+
+// Archives the current version with its comments and moves the mockup on to
+// the next version number. `patch` is applied to the mockup in the same update.
+// Unresolved comments are copied into the new version, pending verification,
+// with their reply threads.
+async function archiveCurrentVersion(mockup, patch = {}) {
+    const currentVersion = mockup.current_version || 1;
+
+    const comments = await storage.find('comments', {
+        where: { mockup_id: mockup.id, version_number: currentVersion },
+        orderBy: 'created_at',
+        ascending: true
+    });
+    const replies = await findReplies(comments.map(c => c.id));
+
+    await storage.insert('versions', {
+        id: generateId(),
+        mockup_id: mockup.id,
+        version_number: currentVersion,
+        data: mockup.data,
+        comments_snapshot: comments.map(c => ({ ...c, replies: replies[c.id] || [] }))
+    });
+
+    const newVersion = currentVersion + 1;
+    for (const comment of comments.filter(c => !CLOSED_COMMENT_STATUSES.includes(commentStatus(c)))) {
+        const carriedId = generateId();
+        await storage.insert('comments', {
+            id: carriedId,
+            mockup_id: mockup.id,
+            version_number: newVersion,
+            x: comment.x,
+            y: comment.y,
+            width: comment.width,
+            height: comment.height,
+            image_index: comment.image_index,
+            image_region: comment.image_region || null,
+            comment: comment.comment,
+            author: comment.author,
+            author_token: comment.author_token,
+            resolved: false,
+            status: commentStatus(comment),
+            priority: comment.priority || 'normal',
+            category: comment.category || null,
+            assignee_id: comment.assignee_id || null,
+            carried_from: comment.id,
+            carried_from_version: currentVersion,
+            verification: 'pending'
+        });
+        for (const reply of replies[comment.id] || []) {
+            await storage.insert('comment_replies', {
+                id: generateId(),
+                mockup_id: mockup.id,
+                comment_id: carriedId,
+                body: reply.body,
+                author: reply.author,
+                author_token: reply.author_token,
+                user_id: reply.user_id,
+                mentions: reply.mentions
+            });
+        }
+    }
+
+    await storage.update('mockups', { id: mockup.id }, { ...patch, current_version: newVersion });
+    emitWebhookEvent(mockup.workspace_id, 'version.archived', {
+        mockup: webhookMockup({ ...mockup, ...patch, current_version: newVersion }),
+        archivedVersion: currentVersion
+    });
+
+    return { currentVersion, newVersion };
+}
+
+// Create new version - protected
+app.post('/api/mockups/:id/versions', authenticateAPI, requireMockupAccess('archive'), async (req, res) => {
+    try {
+        const { currentVersion, newVersion } = await archiveCurrentVersion(req.mockup);
+        notifyMockup(req, req.mockup.id, 'version', { action: 'created', versionNumber: newVersion });
+
+        res.json({
+            success: true,
+            previousVersion: currentVersion,
+            newVersion: newVersion,
+            message: `Version ${currentVersion} archived. Now editing version ${newVersion}.`
+        });
+    } catch (error) {
+        console.error('Error creating new version:', error);
+        res.status(500).json({ success: false, error: 'Failed to create new version' });
+    }
+});
+
+// Delete mockup - protected
+app.delete('/api/mockups/:id', authenticateAPI, requireMockupAccess('delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Not every backend cascades, so clear children explicitly
+        await storage.remove('mockup_shares', { mockup_id: id });
+        await storage.remove('share_links', { mockup_id: id });
+        await storage.remove('view_events', { mockup_id: id });
+        await storage.remove('notification_events', { mockup_id: id });
+        await storage.remove('notification_subscriptions', { mockup_id: id });
+        await storage.remove('approvals', { mockup_id: id });
+        await storage.remove('comment_replies', { mockup_id: id });
+        await storage.remove('comments', { mockup_id: id });
+        await storage.remove('versions', { mockup_id: id });
+        await storage.remove('mockups', { id });
+        notifyMockup(req, id, 'mockup', { action: 'deleted' });
+        events.disconnect(id);
+        emitWebhookEvent(req.mockup.workspace_id, 'mockup.deleted', { mockup: webhookMockup(req.mockup) });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting mockup:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete mockup' });
+    }
+});
+
+// ============ COMMENTS API (Mostly Public for clients) ============
+
+// Unresolved comments are carried into each new version as "pending"
+// until a reviewer confirms the fix or reopens them
+const VERIFICATION_STATUSES = ['confirmed', 'reopened'];
+
+// Feedback workflow. `resolved` is kept in step with the status (true for
+// resolved and won't fix) so the older resolve toggle keeps working.
+const COMMENT_STATUSES = ['open', 'in_progress', 'needs_confirmation', 'resolved', 'wont_fix'];
+const CLOSED_COMMENT_STATUSES = ['resolved', 'wont_fix'];
+const COMMENT_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const COMMENT_CATEGORIES = ['copy', 'image', 'price', 'layout', 'other'];
+
+// Pins are placed in percent of the whole product section. The viewer also
+// sends the part of the pin that covers the product image, in percent of
+// that image, so the area can be cropped out for exports. Older comments
+// and pins beside the image don't have one.
+function parseImageRegion(region) {
+    if (!region || typeof region !== 'object') return null;
+    const values = ['x', 'y', 'width', 'height'].map(key => Number(region[key]));
+    if (values.some(n => !Number.isFinite(n) || n < 0 || n > 100)) return null;
+    const [x, y, width, height] = values;
+    if (width === 0 || height === 0) return null;
+    return { x, y, width, height };
+}
+
+// Comments from before the workflow only have the boolean
+function commentStatus(row) {
+    return row.status || (row.resolved ? 'resolved' : 'open');
+}
+
+// Anonymous authors are told which entries are theirs by comparing the token
+// they sent with the stored one; the stored token itself is never returned
+function isAuthor(row, authorToken) {
+    return !!authorToken && row.author_token === authorToken;
+}
+
+function formatReply(row, authorToken = null) {
+    return {
+        id: row.id,
+        commentId: row.comment_id,
+        body: row.body,
+        author: row.author,
+        isMine: isAuthor(row, authorToken),
+        isTeam: !!row.user_id,
+        mentions: (row.mentions || []).map(m => ({ type: m.type, name: m.name })),
+        createdAt: row.created_at
+    };
+}
+
+function formatComment(row, replies = [], userNames = {}, authorToken = null) {
+    return {
+        id: row.id,
+        x: row.x,
+        y: row.y,
+        width: row.width,
+        height: row.height,
+        imageIndex: row.image_index,
+        imageRegion: row.image_region || null,
+        versionNumber: row.version_number,
+        comment: row.comment,
+        author: row.author,
+        isMine: isAuthor(row, authorToken),
+        resolved: row.resolved,
+        status: commentStatus(row),
+        priority: row.priority || 'normal',
+        category: row.category || null,
+        assignee: row.assignee_id ? { id: row.assignee_id, name: userNames[row.assignee_id] || null } : null,
+        carriedFrom: row.carried_from || null,
+        carriedFromVersion: row.carried_from_version || null,
+        verification: row.verification || null,
+        replies: replies.map(reply => formatReply(reply, authorToken)),
+        createdAt: row.created_at
+    };
+}
+
+// Replies for a set of comments, oldest first, keyed by comment ID
+async function findReplies(commentIds) {
+    if (commentIds.length === 0) return {};
+    const rows = await storage.find('comment_replies', {
+        where: { comment_id: commentIds },
+        orderBy: 'created_at',
+        ascending: true
+    });
+    const byComment = {};
+    for (const row of rows) (byComment[row.comment_id] ||= []).push(row);
+    return byComment;
+}
+
+// Display names for the users assigned to a set of comments, keyed by user ID
+async function findAssigneeNames(rows) {
+    const ids = [...new Set(rows.map(r => r.assignee_id).filter(Boolean))];
+    if (ids.length === 0) return {};
+    const users = await storage.find('users', { where: { id: ids }, columns: 'id, email' });
+    return Object.fromEntries(users.map(u => [u.id, emailName(u.email)]));
+}
+
+// Signed-in team members reply under their account; everyone else under the
+// name and browser token they comment with
+function emailName(email) {
+    return String(email || '').split('@')[0];
+}
+
+async function getTeamUser(req, mockup) {
+    const user = getOptionalUser(req);
+    if (!user) return null;
+    const permissions = await getMockupPermissions(mockup, user.id);
+    return permissions.includes('view') ? { ...user, permissions } : null;
+}
+
+// Who can be @mentioned on a mockup: active users with access to it (by the
+// part of their email before the @) and reviewers who have left feedback
+async function getMentionCandidates(mockup) {
+    const members = mockup.workspace_id
+        ? await storage.find('workspace_members', { where: { workspace_id: mockup.workspace_id }, columns: 'user_id' })
+        : [];
+    const shares = await storage.find('mockup_shares', { where: { mockup_id: mockup.id }, columns: 'user_id' });
+    const userIds = [...new Set([mockup.user_id, ...members.map(m => m.user_id), ...shares.map(s => s.user_id)].filter(Boolean))];
+    const users = await storage.find('users', { where: { id: userIds }, columns: 'id, email, active' });
+
+    const candidates = users
+        .filter(u => u.active !== false)
+        .map(u => ({ type: 'user', userId: u.id, name: emailName(u.email), email: u.email }));
+    const taken = new Set(candidates.map(c => c.name.toLowerCase()));
+
+    const comments = await storage.find('comments', { where: { mockup_id: mockup.id }, columns: 'author' });
+    const replies = await storage.find('comment_replies', { where: { mockup_id: mockup.id, user_id: null }, columns: 'author' });
+    for (const { author } of [...comments, ...replies]) {
+        const name = String(author || '').trim();
+        if (!name || taken.has(name.toLowerCase())) continue;
+        taken.add(name.toLowerCase());
+        candidates.push({ type: 'reviewer', name });
+    }
+
+    return candidates;
+}
+
+async function sendMentionEmails(mockup, reply, mentions) {
+    const link = `${APP_URL}/editor?id=${mockup.id}`;
+    const title = mockup.data?.title || 'Untitled mockup';
+    const recipients = mentions.filter(m => m.type === 'user' && m.userId !== reply.user_id);
+
+    for (const { email } of recipients) {
+        try {
+            await mailer.send({
+                to: email,
+                subject: `${reply.author} mentioned you on "${title}"`,
+                text: `${reply.author} mentioned you in a feedback thread on "${title}":\n\n${reply.body}\n\nOpen the mockup:\n${link}`,
+                html: `<p>${escapeHtml(reply.author)} mentioned you in a feedback thread on "${escapeHtml(title)}":</p><blockquote>${escapeHtml(reply.body)}</blockquote><p><a href="${link}">Open the mockup</a></p>`
+            });
+        } catch (error) {
+            console.error('Error sending mention email:', error);
+        }
+    }
+}
+
+app.get('/api/mockups/:id/comments', requireViewerAccess, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pinnedVersion = req.shareLink?.pinned_version;
+        const version = pinnedVersion ? String(pinnedVersion) : req.query.version;
+        const { authorToken } = req.query;
+
+        // Get mockup's current version if no specific version requested
+        const versionToQuery = version || req.mockup.current_version || 1;
+
+        // For archived versions, get from snapshot
+        if (version && version !== 'current') {
+            const versionData = await storage.findOne('versions', {
+                mockup_id: id,
+                version_number: parseInt(version)
+            }, { columns: 'comments_snapshot' });
+
+            if (versionData?.comments_snapshot) {
+                const userNames = await findAssigneeNames(versionData.comments_snapshot);
+                const comments = versionData.comments_snapshot.map(row => formatComment(row, row.replies, userNames, authorToken));
+                return res.json({ success: true, comments, version: parseInt(version), isArchived: true });
+            }
+        }
+
+        // Get live comments for current version
+        const comments = await storage.find('comments', {
+            where: { mockup_id: id, version_number: versionToQuery },
+            orderBy: 'created_at',
+            ascending: true
+        });
+
+        const replies = await findReplies(comments.map(c => c.id));
+        const userNames = await findAssigneeNames(comments);
+
+        res.json({ success: true, comments: comments.map(c => formatComment(c, replies[c.id], userNames, authorToken)), version: versionToQuery, isArchived: false });
+    } catch (error) {
+        console.error('Error getting comments:', error);
+        res.status(500).json({ success: false, error: 'Failed to get comments' });
+    }
+});
+
+// Create comment - PUBLIC (clients can leave feedback)
+app.post('/api/mockups/:id/comments', requireViewerAccess, requireCommentAccess, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { x, y, width, height, imageIndex, imageRegion, comment, author, authorToken, priority, category } = req.body;
+        const commentId = generateId();
+
+        const versionNumber = req.mockup.current_version || 1;
+
+        const created = await storage.insert('comments', {
+            id: commentId,
+            mockup_id: id,
+            version_number: versionNumber,
+            x,
+            y,
+            width,
+            height,
+            image_index: imageIndex,
+            image_region: parseImageRegion(imageRegion),
+            comment,
+            author,
+            author_token: authorToken,
+            resolved: false,
+            status: 'open',
+            priority: COMMENT_PRIORITIES.includes(priority) ? priority : 'normal',
+            category: COMMENT_CATEGORIES.includes(category) ? category : null
+        });
+        notifyMockup(req, id, 'comments', { action: 'created', commentId });
+        emitWebhookEvent(req.mockup.workspace_id, 'comment.created', { mockup: webhookMockup(req.mockup), comment: webhookComment(created) });
+        notifySubscribers(req.mockup, 'comment', `${author || 'Someone'} commented: "${excerpt(comment)}"`, getOptionalUser(req)?.id);
+
+        res.json({ success: true, id: commentId });
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to add comment' });
+    }
+});
+
+// Update comment - PUBLIC (author can edit own comments)
+app.put('/api/mockups/:id/comments/:commentId', requireViewerAccess, requireCommentAccess, async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const { comment, authorToken } = req.body;
+
+        // Check authorization
+        const existing = await storage.findOne('comments', { id: commentId, mockup_id: id }, { columns: 'author_token' });
+
+        if (existing && existing.author_token !== authorToken) {
+            return res.status(403).json({ success: false, error: 'Not authorized to edit this comment' });
+        }
+
+        await storage.update('comments', { id: commentId, mockup_id: id }, { comment });
+        notifyMockup(req, id, 'comments', { action: 'updated', commentId });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to update comment' });
+    }
+});
+
+// Delete ALL comments for a mockup - protected (designer action)
+app.delete('/api/mockups/:id/comments', authenticateAPI, requireMockupAccess('delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const removed = await storage.find('comments', { where: { mockup_id: id }, columns: 'id' });
+        await storage.remove('comment_replies', { mockup_id: id });
+        await storage.remove('comments', { mockup_id: id });
+        notifyMockup(req, id, 'comments', { action: 'cleared' });
+        if (removed.length > 0) {
+            emitWebhookEvent(req.mockup.workspace_id, 'comment.deleted', { mockup: webhookMockup(req.mockup), commentIds: removed.map(c => c.id) });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting all comments:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete comments' });
+    }
+});
+
+// Delete single comment - PUBLIC (author can delete own) or protected (designer can delete any)
+app.delete('/api/mockups/:id/comments/:commentId', requireViewerAccess, requireCommentAccess, async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const { authorToken } = req.query;
+        
+        // Team members who can resolve comments can also delete any of them
+        const user = getOptionalUser(req);
+        let isDesigner = false;
+        if (user) {
+            const permissions = await getMockupPermissions(req.mockup, user.id);
+            isDesigner = permissions.includes('resolve');
+        }
+
+        // If not designer, check author token
+        if (!isDesigner && authorToken) {
+            const existing = await storage.findOne('comments', { id: commentId, mockup_id: id }, { columns: 'author_token' });
+
+            if (existing && existing.author_token !== authorToken) {
+                return res.status(403).json({ success: false, error: 'Not authorized to delete this comment' });
+            }
+        } else if (!isDesigner) {
+            return res.status(403).json({ success: false, error: 'Not authorized' });
+        }
+
+        await storage.remove('comment_replies', { comment_id: commentId, mockup_id: id });
+        await storage.remove('comments', { id: commentId, mockup_id: id });
+        notifyMockup(req, id, 'comments', { action: 'deleted', commentId });
+        emitWebhookEvent(req.mockup.workspace_id, 'comment.deleted', { mockup: webhookMockup(req.mockup), commentIds: [commentId] });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete comment' });
+    }
+});
+
+// Resolve comment - protected (designer action)
+app.put('/api/mockups/:id/comments/:commentId/resolve', authenticateAPI, requireMockupAccess('resolve'), async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const { resolved } = req.body;
+
+        const [updated] = await storage.update('comments', { id: commentId, mockup_id: id }, {
+            resolved: !!resolved,
+            status: resolved ? 'resolved' : 'open'
+        });
+        notifyMockup(req, id, 'comments', { action: 'updated', commentId });
+        if (updated && resolved) {
+            emitWebhookEvent(req.mockup.workspace_id, 'comment.resolved', { mockup: webhookMockup(req.mockup), comment: webhookComment(updated) });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error resolving comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to resolve comment' });
+    }
+});
+
+// Confirm or reopen a comment carried over from a previous version - protected
+app.put('/api/mockups/:id/comments/:commentId/verify', authenticateAPI, requireMockupAccess('resolve'), async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const { status } = req.body;
+
+        if (!VERIFICATION_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `Status must be one of: ${VERIFICATION_STATUSES.join(', ')}` });
+        }
+
+        const existing = await storage.findOne('comments', { id: commentId, mockup_id: id }, { columns: 'carried_from' });
+        if (!existing?.carried_from) {
+            return res.status(404).json({ success: false, error: 'No carried-over comment found' });
+        }
+
+        const [updated] = await storage.update('comments', { id: commentId, mockup_id: id }, {
+            verification: status,
+            resolved: status === 'confirmed',
+            status: status === 'confirmed' ? 'resolved' : 'open'
+        });
+        notifyMockup(req, id, 'comments', { action: 'updated', commentId });
+        if (status === 'confirmed') {
+            emitWebhookEvent(req.mockup.workspace_id, 'comment.resolved', { mockup: webhookMockup(req.mockup), comment: webhookComment(updated) });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error verifying comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify comment' });
+    }
+});
+
+// Set a comment's status, assignee, priority or category - protected
+app.put('/api/mockups/:id/comments/:commentId/workflow', authenticateAPI, requireMockupAccess('resolve'), async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const { status, assigneeId, priority, category } = req.body;
+        const patch = {};
+
+        if (status !== undefined) {
+            if (!COMMENT_STATUSES.includes(status)) {
+                return res.status(400).json({ success: false, error: `Status must be one of: ${COMMENT_STATUSES.join(', ')}` });
+            }
+            patch.status = status;
+            patch.resolved = CLOSED_COMMENT_STATUSES.includes(status);
+        }
+        if (priority !== undefined) {
+            if (!COMMENT_PRIORITIES.includes(priority)) {
+                return res.status(400).json({ success: false, error: `Priority must be one of: ${COMMENT_PRIORITIES.join(', ')}` });
+            }
+            patch.priority = priority;
+        }
+        if (category !== undefined) {
+            if (category !== null && !COMMENT_CATEGORIES.includes(category)) {
+                return res.status(400).json({ success: false, error: `Category must be one of: ${COMMENT_CATEGORIES.join(', ')}` });
+            }
+            patch.category = category;
+        }
+        if (assigneeId !== undefined) {
+            if (assigneeId !== null) {
+                const candidates = await getMentionCandidates(req.mockup);
+                if (!candidates.some(c => c.type === 'user' && c.userId === assigneeId)) {
+                    return res.status(400).json({ success: false, error: 'Assignee must be a teammate with access to this mockup' });
+                }
+            }
+            patch.assignee_id = assigneeId;
+        }
+        if (Object.keys(patch).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+
+        const updated = await storage.update('comments', { id: commentId, mockup_id: id }, patch);
+        if (updated.length === 0) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+        notifyMockup(req, id, 'comments', { action: 'updated', commentId });
+        if (patch.resolved) {
+            emitWebhookEvent(req.mockup.workspace_id, 'comment.resolved', { mockup: webhookMockup(req.mockup), comment: webhookComment(updated[0]) });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating comment workflow:', error);
+        res.status(500).json({ success: false, error: 'Failed to update comment' });
+    }
+});
+
+// Teammates a comment can be assigned to - protected
+app.get('/api/mockups/:id/assignees', authenticateAPI, requireMockupAccess('view'), async (req, res) => {
+    try {
+        const candidates = await getMentionCandidates(req.mockup);
+        res.json({
+            success: true,
+            assignees: candidates.filter(c => c.type === 'user').map(c => ({ id: c.userId, name: c.name, email: c.email }))
+        });
+    } catch (error) {
+        console.error('Error listing assignees:', error);
+        res.status(500).json({ success: false, error: 'Failed to list assignees' });
+    }
+});
+
+// People who can be @mentioned in replies - PUBLIC (names only, no emails)
+app.get('/api/mockups/:id/mentionables', requireViewerAccess, async (req, res) => {
+    try {
+        const candidates = await getMentionCandidates(req.mockup);
+        res.json({ success: true, mentionables: candidates.map(c => ({ type: c.type, name: c.name })) });
+    } catch (error) {
+        console.error('Error listing mentionables:', error);
+        res.status(500).json({ success: false, error: 'Failed to list people' });
+    }
+});
+
+// Reply to a comment - PUBLIC (designers and clients discuss in the thread)
+app.post('/api/mockups/:id/comments/:commentId/replies', requireViewerAccess, requireCommentAccess, async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        if (!body) {
+            return res.status(400).json({ success: false, error: 'Reply text is required' });
+        }
+
+        const comment = await storage.findOne('comments', { id: commentId, mockup_id: id }, { columns: 'id, version_number' });
+        if (!comment) {
+            return res.status(404).json({ success: false, error: 'Comment not found' });
+        }
+        if (comment.version_number !== req.mockup.current_version) {
+            return res.status(400).json({ success: false, error: 'Comments on archived versions are read-only' });
+        }
+
+        const teamUser = await getTeamUser(req, req.mockup);
+        const author = teamUser ? emailName(teamUser.email) : String(req.body.author || '').trim();
+        if (!author) {
+            return res.status(400).json({ success: false, error: 'Author name is required' });
+        }
+
+        const mentions = findMentions(body, await getMentionCandidates(req.mockup));
+        const reply = await storage.insert('comment_replies', {
+            id: generateId(),
+            mockup_id: id,
+            comment_id: commentId,
+            body,
+            author,
+            author_token: teamUser ? null : req.body.authorToken || null,
+            user_id: teamUser?.id || null,
+            mentions: mentions.map(m => (m.type === 'user' ? { type: m.type, name: m.name, user_id: m.userId } : { type: m.type, name: m.name }))
+        });
+
+        notifyMockup(req, id, 'comments', { action: 'replied', commentId });
+        notifySubscribers(req.mockup, 'reply', `${author} replied: "${excerpt(body)}"`, teamUser?.id);
+        await sendMentionEmails(req.mockup, reply, mentions);
+
+        res.json({ success: true, reply: formatReply(reply, reply.author_token) });
+    } catch (error) {
+        console.error('Error adding reply:', error);
+        res.status(500).json({ success: false, error: 'Failed to add reply' });
+    }
+});
+
+// Delete a reply - PUBLIC (author can delete own) or protected (designer can delete any)
+app.delete('/api/mockups/:id/comments/:commentId/replies/:replyId', requireViewerAccess, requireCommentAccess, async (req, res) => {
+    try {
+        const { id, commentId, replyId } = req.params;
+        const reply = await storage.findOne('comment_replies', { id: replyId, comment_id: commentId, mockup_id: id });
+        if (!reply) {
+            return res.status(404).json({ success: false, error: 'Reply not found' });
+        }
+
+        const teamUser = await getTeamUser(req, req.mockup);
+        const isOwnReply = teamUser
+            ? reply.user_id === teamUser.id
+            : isAuthor(reply, req.query.authorToken);
+        if (!isOwnReply && !teamUser?.permissions.includes('resolve')) {
+            return res.status(403).json({ success: false, error: 'Not authorized to delete this reply' });
+        }
+
+        await storage.remove('comment_replies', { id: replyId, mockup_id: id });
+        notifyMockup(req, id, 'comments', { action: 'replied', commentId });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting reply:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete reply' });
+    }
+});
+
+// ============ APPROVALS ============
+
+// Clients sign off on a version (or ask for changes) from the viewer. A
+// decision is never edited or deleted; if the version's content changes
+// afterwards, decisions on it are marked invalidated and the client has to
+// decide again. Together they form the audit trail before item setup.
+const APPROVAL_DECISIONS = ['approved', 'changes_requested'];
+const MAX_APPROVAL_NOTE_LENGTH = 2000;
+
+// Stable hash of mockup data. Keys are sorted first because Postgres jsonb
+// doesn't keep them in order.
+function fingerprintData(data) {
+    const canonical = value => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+        }
+        return value;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(canonical(data || {}))).digest('hex');
+}
+
+function formatApproval(row, authorToken = null) {
+    return {
+        id: row.id,
+        versionNumber: row.version_number,
+        decision: row.decision,
+        reviewer: row.reviewer_name,
+        isMine: isAuthor(row, authorToken),
+        isTeam: !!row.user_id,
+        note: row.note || null,
+        valid: !row.invalidated_at,
+        invalidatedAt: row.invalidated_at || null,
+        createdAt: row.created_at
+    };
+}
+
+// Latest valid decision per version number:
+// { [versionNumber]: { decision, reviewer, decidedAt } }
+async function findApprovalStatuses(mockupId, versionNumbers = null) {
+    const where = { mockup_id: mockupId, invalidated_at: null };
+    if (versionNumbers) where.version_number = versionNumbers;
+    const rows = await storage.find('approvals', { where, orderBy: 'created_at', ascending: true });
+
+    const statuses = {};
+    for (const row of rows) {
+        statuses[row.version_number] = { decision: row.decision, reviewer: row.reviewer_name, decidedAt: row.created_at };
+    }
+    return statuses;
+}
+
+// Called when the current version's content is saved. Returns how many
+// decisions no longer match what is on screen.
+async function invalidateApprovals(mockup, data) {
+    const fingerprint = fingerprintData(data);
+    const approvals = await storage.find('approvals', {
+        where: { mockup_id: mockup.id, version_number: mockup.current_version || 1, invalidated_at: null },
+        columns: 'id, data_fingerprint'
+    });
+    const stale = approvals.filter(a => a.data_fingerprint !== fingerprint).map(a => a.id);
+    if (stale.length > 0) {
+        await storage.update('approvals', { id: stale }, { invalidated_at: new Date().toISOString() });
+    }
+    return stale.length;
+}
+
+// Audit trail for a mockup, newest first - PUBLIC with the mockup's access rules
+app.get('/api/mockups/:id/approvals', requireViewerAccess, async (req, res) => {
+    try {
+        const pinnedVersion = req.shareLink?.pinned_version;
+        const where = { mockup_id: req.mockup.id };
+        if (pinnedVersion) where.version_number = pinnedVersion;
+        else if (req.query.version) where.version_number = parseInt(req.query.version);
+
+        const rows = await storage.find('approvals', { where, orderBy: 'created_at', ascending: false });
+        res.json({ success: true, approvals: rows.map(row => formatApproval(row, req.query.authorToken)) });
+    } catch (error) {
+        console.error('Error listing approvals:', error);
+        res.status(500).json({ success: false, error: 'Failed to list approvals' });
+    }
+});
+
+// Approve the current version or request changes - PUBLIC
+app.post('/api/mockups/:id/approvals', requireViewerAccess, requireApprovalAccess, async (req, res) => {
+    try {
+        const { decision, versionNumber, authorToken } = req.body;
+        const currentVersion = req.mockup.current_version || 1;
+        const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+        if (!APPROVAL_DECISIONS.includes(decision)) {
+            return res.status(400).json({ success: false, error: `Decision must be one of: ${APPROVAL_DECISIONS.join(', ')}` });
+        }
+        if (note.length > MAX_APPROVAL_NOTE_LENGTH) {
+            return res.status(400).json({ success: false, error: `Notes are limited to ${MAX_APPROVAL_NOTE_LENGTH} characters` });
+        }
+        // The client must be looking at what they sign off on
+        if (parseInt(versionNumber) !== currentVersion) {
+            return res.status(409).json({ success: false, error: 'Only the latest version can be signed off. Reload to review it first.' });
+        }
+
+        const teamUser = await getTeamUser(req, req.mockup);
+        const reviewerName = teamUser ? emailName(teamUser.email) : String(req.body.reviewerName || '').trim();
+        if (!reviewerName) {
+            return res.status(400).json({ success: false, error: 'Your name is required' });
+        }
+        if (!teamUser && !authorToken) {
+            return res.status(400).json({ success: false, error: 'Missing reviewer token' });
+        }
+
+        const reviewer = teamUser ? { user_id: teamUser.id } : { author_token: authorToken };
+        const existing = await storage.findOne('approvals', {
+            mockup_id: req.mockup.id,
+            version_number: currentVersion,
+            invalidated_at: null,
+            ...reviewer
+        }, { columns: 'id' });
+        if (existing) {
+            return res.status(409).json({ success: false, error: 'You already submitted a decision for this version' });
+        }
+
+        const approval = await storage.insert('approvals', {
+            id: generateId(),
+            mockup_id: req.mockup.id,
+            version_number: currentVersion,
+            decision,
+            reviewer_name: reviewerName,
+            author_token: teamUser ? null : authorToken,
+            user_id: teamUser?.id || null,
+            note: note || null,
+            share_link_id: req.shareLink?.id || null,
+            data_fingerprint: fingerprintData(req.mockup.data),
+            invalidated_at: null
+        });
+
+        notifyMockup(req, req.mockup.id, 'approvals', { action: 'created', versionNumber: currentVersion });
+        const verb = decision === 'approved' ? 'approved' : 'requested changes to';
+        notifySubscribers(
+            req.mockup,
+            'approval',
+            `${reviewerName} ${verb} version ${currentVersion}${note ? `: "${excerpt(note)}"` : ''}`,
+            teamUser?.id
+        );
+
+        res.json({ success: true, approval: formatApproval(approval, authorToken) });
+    } catch (error) {
+        console.error('Error submitting approval:', error);
+        res.status(500).json({ success: false, error: 'Failed to submit approval' });
+    }
+});
+
+// ============ VERSIONS API ============
+
+app.get('/api/mockups/:id/versions', requireViewerAccess, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pinnedVersion = req.shareLink?.pinned_version;
+
+        const versions = await storage.find('versions', {
+            where: pinnedVersion ? { mockup_id: id, version_number: pinnedVersion } : { mockup_id: id },
+            columns: 'id, version_number, created_at',
+            orderBy: 'version_number',
+            ascending: false
+        });
+
+        const approvals = await findApprovalStatuses(id, versions.map(v => v.version_number));
+        const formattedVersions = versions.map(v => ({
+            id: v.id,
+            versionNumber: v.version_number,
+            createdAt: v.created_at,
+            approval: approvals[v.version_number] || null
+        }));
+
+        res.json({ success: true, versions: formattedVersions });
+    } catch (error) {
+        console.error('Error getting versions:', error);
+        res.status(500).json({ success: false, error: 'Failed to get versions' });
+    }
+});
+
+// Mockup data as of a version number: the live data for the current
+// version, the archived snapshot otherwise. Returns null if there is none.
+async function loadVersionData(mockup, versionNumber) {
+    if (versionNumber === mockup.current_version) return mockup.data || {};
+    const version = await storage.findOne('versions', {
+        mockup_id: mockup.id,
+        version_number: versionNumber
+    }, { columns: 'data' });
+    return version ? version.data || {} : null;
+}
+
+// Field-by-field diff between two versions - PUBLIC (clients see what changed).
+// Defaults to the previous version against the current one.
+app.get('/api/mockups/:id/diff', requireViewerAccess, async (req, res) => {
+    try {
+        if (req.shareLink?.pinned_version) {
+            return res.status(403).json({ success: false, error: 'This link only shows one version' });
+        }
+
+        const to = parseInt(req.query.to) || req.mockup.current_version;
+        const from = parseInt(req.query.from) || to - 1;
+
+        const [before, after] = await Promise.all([
+            loadVersionData(req.mockup, from),
+            loadVersionData(req.mockup, to)
+        ]);
+        if (!before || !after) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        res.json({ success: true, from, to, diff: diffMockupData(before, after) });
+    } catch (error) {
+        console.error('Error diffing versions:', error);
+        res.status(500).json({ success: false, error: 'Failed to compare versions' });
+    }
+});
+
+app.get('/api/mockups/:id/versions/:versionId', requireViewerAccess, async (req, res) => {
+    try {
+        const { id, versionId } = req.params;
+
+        const version = await storage.findOne('versions', { id: versionId, mockup_id: id });
+        const pinnedVersion = req.shareLink?.pinned_version;
+
+        if (!version || (pinnedVersion && version.version_number !== pinnedVersion)) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        res.json({
+            success: true,
+            version: {
+                id: version.id,
+                mockupId: version.mockup_id,
+                versionNumber: version.version_number,
+                data: version.data,
+                commentsSnapshot: version.comments_snapshot,
+                createdAt: version.created_at
+            }
+        });
+    } catch (error) {
+        console.error('Error getting version:', error);
+        res.status(500).json({ success: false, error: 'Failed to get version' });
+    }
+});
+
+// Restore an archived version as current - protected. The current state is
+// archived first, so restoring never loses work and can itself be undone.
+app.post('/api/mockups/:id/versions/:versionNum/restore', authenticateAPI, requireMockupAccess('archive'), async (req, res) => {
+    try {
+        const versionNumber = parseInt(req.params.versionNum);
+        if (versionNumber >= req.mockup.current_version) {
+            return res.status(400).json({ success: false, error: 'Only archived versions can be restored' });
+        }
+
+        const version = await storage.findOne('versions', { mockup_id: req.mockup.id, version_number: versionNumber });
+        if (!version) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        const { currentVersion, newVersion } = await archiveCurrentVersion(req.mockup, { data: version.data });
+        notifyMockup(req, req.mockup.id, 'version', { action: 'restored', versionNumber: newVersion });
+
+        res.json({
+            success: true,
+            restoredVersion: versionNumber,
+            previousVersion: currentVersion,
+            newVersion,
+            message: `Version ${currentVersion} archived. Version ${versionNumber} restored as version ${newVersion}.`
+        });
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        res.status(500).json({ success: false, error: 'Failed to restore version' });
+    }
+});
+
+// Fork a version into a new mockup in the active workspace - protected.
+// The fork starts at version 1 with no comments, password or share links.
+app.post('/api/mockups/:id/versions/:versionNum/fork', authenticateAPI, requireMockupAccess('view'), requireWorkspacePermission('create'), async (req, res) => {
+    try {
+        const versionNumber = parseInt(req.params.versionNum);
+        const data = await loadVersionData(req.mockup, versionNumber);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        const forkedFrom = { mockupId: req.mockup.id, versionNumber };
+        const id = await createMockup({ data, userId: req.user.id, workspaceId: req.workspace.id, forkedFrom });
+        const lint = lintListing(data, await getLintRules(req.workspace.id));
+
+        res.json({ success: true, id, forkedFrom, lint });
+    } catch (error) {
+        console.error('Error forking version:', error);
+        res.status(500).json({ success: false, error: 'Failed to fork version' });
+    }
+});
+
+app.delete('/api/mockups/:id/versions/:versionNum', authenticateAPI, requireMockupAccess('delete'), async (req, res) => {
+    try {
+        const { id, versionNum } = req.params;
+
+        // Can't delete current version
+        if (parseInt(versionNum) >= req.mockup.current_version) {
+            return res.status(400).json({ success: false, error: 'Cannot delete current version' });
+        }
+
+        await storage.remove('versions', { mockup_id: id, version_number: parseInt(versionNum) });
+        notifyMockup(req, id, 'version', { action: 'deleted', versionNumber: parseInt(versionNum) });
+
+        res.json({ success: true, deletedVersion: parseInt(versionNum) });
+    } catch (error) {
+        console.error('Error deleting version:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete version' });
+    }
+});
+
+// ============ FEEDBACK EXPORT ============
+
+const FEEDBACK_EXPORT_FORMATS = ['csv', 'json', 'html'];
+
+// Comments on each requested version, oldest version first, with the image
+// list they were pinned against. version is 'current', 'all' or a version
+// number; returns null if that version doesn't exist.
+async function collectFeedback(mockup, version) {
+    const currentVersion = mockup.current_version || 1;
+    const versionNumber = parseInt(version);
+    const versions = [];
+
+    if (version === 'all' || (versionNumber && versionNumber !== currentVersion)) {
+        const archived = await storage.find('versions', {
+            where: version === 'all' ? { mockup_id: mockup.id } : { mockup_id: mockup.id, version_number: versionNumber },
+            orderBy: 'version_number',
+            ascending: true
+        });
+        if (archived.length === 0 && version !== 'all') return null;
+
+        for (const row of archived) {
+            const snapshot = row.comments_snapshot || [];
+            const userNames = await findAssigneeNames(snapshot);
+            versions.push({
+                versionNumber: row.version_number,
+                archived: true,
+                images: row.data?.images || [],
+                comments: snapshot.map(c => ({ ...formatComment(c, c.replies, userNames), updatedAt: c.updated_at || null }))
+            });
+        }
+        if (version !== 'all') return versions;
+    }
+
+    const comments = await storage.find('comments', {
+        where: { mockup_id: mockup.id, version_number: currentVersion },
+        orderBy: 'created_at',
+        ascending: true
+    });
+    const replies = await findReplies(comments.map(c => c.id));
+    const userNames = await findAssigneeNames(comments);
+    versions.push({
+        versionNumber: currentVersion,
+        archived: false,
+        images: mockup.data?.images || [],
+        comments: comments.map(c => ({ ...formatComment(c, replies[c.id], userNames), updatedAt: c.updated_at || null }))
+    });
+    return versions;
+}
+
+// Bytes of a mockup image (asset ID or legacy data URL). The zoom variant is
+// plenty for a crop and is already rotated upright.
+async function loadImageBuffer(ref) {
+    if (isAssetId(ref)) {
+        const found = await assets.getAsset(ref, { size: 'zoom', format: 'jpeg' });
+        return found ? found.buffer : null;
+    }
+    return parseDataUrl(ref)?.buffer || null;
+}
+
+// Sets `crop` on every comment: a JPEG data URL of its pinned region, or
+// null if it has no image region or the image can't be read
+async function addFeedbackCrops(versions) {
+    const buffers = new Map(); // image ref -> Promise of its bytes
+
+    for (const version of versions) {
+        for (const comment of version.comments) {
+            comment.crop = null;
+            const ref = comment.imageRegion ? version.images[comment.imageIndex ?? 0] : null;
+            if (!ref) continue;
+
+            if (!buffers.has(ref)) buffers.set(ref, loadImageBuffer(ref).catch(() => null));
+            const buffer = await buffers.get(ref);
+            if (!buffer) continue;
+
+            try {
+                const crop = await cropRegion(buffer, comment.imageRegion);
+                comment.crop = `data:image/jpeg;base64,${crop.toString('base64')}`;
+            } catch (error) {
+                console.error('Error cropping comment region:', error);
+            }
+        }
+    }
+}
+
+function exportFilename(mockup, version, extension) {
+    const slug = String(mockup.data?.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+    const suffix = version === 'all' ? 'all-versions' : `v${version === 'current' ? mockup.current_version || 1 : parseInt(version)}`;
+    return `feedback-${slug || mockup.id}-${suffix}.${extension}`;
+}
+
+// Feedback for handing off outside the app - protected.
+// ?format=csv|json|html (printable report), ?version=current|<number>|all
+app.get('/api/mockups/:id/feedback/export', authenticateAPI, requireMockupAccess('view'), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const version = req.query.version || 'current';
+
+        if (!FEEDBACK_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, error: `Format must be one of: ${FEEDBACK_EXPORT_FORMATS.join(', ')}` });
+        }
+        if (!['current', 'all'].includes(version) && !(parseInt(version) > 0)) {
+            return res.status(400).json({ success: false, error: 'Version must be "current", "all" or a version number' });
+        }
+
+        const versions = await collectFeedback(req.mockup, version);
+        if (!versions) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        // CSV has nowhere to put images, so only the region is listed
+        if (format !== 'csv') await addFeedbackCrops(versions);
+        const exported = versions.map(({ images, ...rest }) => rest);
+        const title = req.mockup.data?.title || 'Untitled mockup';
+
+        if (format === 'csv') {
+            res.attachment(exportFilename(req.mockup, version, 'csv'));
+            return res.type('text/csv').send(feedbackToCsv(exported));
+        }
+        if (format === 'html') {
+            // Shown in the browser rather than downloaded, ready to print
+            return res.type('html').send(feedbackToHtml({ title, exportedAt: new Date().toISOString(), versions: exported }));
+        }
+
+        res.attachment(exportFilename(req.mockup, version, 'json'));
+        res.json({
+            success: true,
+            mockup: { id: req.mockup.id, title },
+            exportedAt: new Date().toISOString(),
+            versions: exported
+        });
+    } catch (error) {
+        console.error('Error exporting feedback:', error);
+        res.status(500).json({ success: false, error: 'Failed to export feedback' });
+    }
+});
+
+// ============ ITEM SETUP EXPORT ============
+
+// Mockup copy exported as a Walmart item-setup spreadsheet, one row per
+// mockup. The column mapping is kept per workspace; see lib/item-setup.js.
+const ITEM_SETUP_FORMATS = ['csv', 'xlsx'];
+const ITEM_SETUP_SOURCES = ['current', 'approved'];
+const MAX_ITEM_SETUP_MOCKUPS = 200;
+
+async function getItemSetupColumns(workspaceId) {
+    const workspace = workspaceId
+        ? await storage.findOne('workspaces', { id: workspaceId }, { columns: 'item_setup_columns' })
+        : null;
+    return workspace?.item_setup_columns || null;
+}
+
+function formatItemSetupSettings(columns) {
+    return {
+        columns: columns || DEFAULT_ITEM_SETUP_COLUMNS,
+        isDefault: !columns,
+        fields: Object.entries(ITEM_SETUP_FIELDS).map(([field, { label, list }]) => ({ field, label, list: !!list }))
+    };
+}
+
+// The highest version whose latest decision is an approval, or null
+async function latestApprovedVersion(mockupId) {
+    const statuses = await findApprovalStatuses(mockupId);
+    const approved = Object.entries(statuses)
+        .filter(([, status]) => status.decision === 'approved')
+        .map(([versionNumber]) => parseInt(versionNumber));
+    return approved.length ? Math.max(...approved) : null;
+}
+
+app.get('/api/workspaces/:workspaceId/item-setup', authenticateAPI, requireWorkspaceMember(), async (req, res) => {
+    try {
+        const columns = await getItemSetupColumns(req.params.workspaceId);
+        res.json({ success: true, ...formatItemSetupSettings(columns) });
+    } catch (error) {
+        console.error('Error getting item setup columns:', error);
+        res.status(500).json({ success: false, error: 'Failed to get item setup columns' });
+    }
+});
+
+// Save the workspace's column mapping; { columns: null } goes back to the defaults
+app.put('/api/workspaces/:workspaceId/item-setup', authenticateAPI, requireWorkspaceMember('manage'), async (req, res) => {
+    try {
+        let columns = null;
+        if (req.body.columns !== null) {
+            const parsed = parseItemSetupColumns(req.body.columns);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+            columns = parsed.columns;
+        }
+
+        await storage.update('workspaces', { id: req.params.workspaceId }, { item_setup_columns: columns });
+        res.json({ success: true, ...formatItemSetupSettings(columns) });
+    } catch (error) {
+        console.error('Error saving item setup columns:', error);
+        res.status(500).json({ success: false, error: 'Failed to save item setup columns' });
+    }
+});
+
+// Export - protected. ?ids=<comma-separated mockup IDs>&format=csv|xlsx
+// &version=current|approved. Columns follow the active workspace's mapping.
+// With version=approved each mockup's latest approved version is used and
+// mockups without one are left out and listed in X-Item-Setup-Skipped.
+app.get('/api/item-setup/export', authenticateAPI, async (req, res) => {
+    try {
+        const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+        const format = req.query.format || 'csv';
+        const source = req.query.version || 'current';
+
+        if (ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'Choose at least one mockup' });
+        }
+        if (ids.length > MAX_ITEM_SETUP_MOCKUPS) {
+            return res.status(400).json({ success: false, error: `Export at most ${MAX_ITEM_SETUP_MOCKUPS} mockups at a time` });
+        }
+        if (!ITEM_SETUP_FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, error: `Format must be one of: ${ITEM_SETUP_FORMATS.join(', ')}` });
+        }
+        if (!ITEM_SETUP_SOURCES.includes(source)) {
+            return res.status(400).json({ success: false, error: `Version must be one of: ${ITEM_SETUP_SOURCES.join(', ')}` });
+        }
+
+        const mockups = await storage.find('mockups', { where: { id: ids } });
+        const byId = Object.fromEntries(mockups.map(m => [m.id, m]));
+        for (const id of ids) {
+            const permissions = await getMockupPermissions(byId[id], req.user.id);
+            if (!permissions.includes('view')) {
+                return res.status(404).json({ success: false, error: `Mockup ${id} not found` });
+            }
+        }
+
+        const imageUrl = ref => isAssetId(ref) ? `${APP_URL}/assets/${ref}` : (/^https?:\/\//.test(ref) ? ref : '');
+        const rows = [];
+        const skipped = [];
+        for (const id of ids) {
+            const mockup = byId[id];
+            const versionNumber = source === 'approved' ? await latestApprovedVersion(id) : mockup.current_version || 1;
+            const data = versionNumber ? await loadVersionData(mockup, versionNumber) : null;
+            if (!data) {
+                skipped.push(id);
+                continue;
+            }
+            rows.push(itemSetupValues({ mockupId: id, versionNumber, data, imageUrl }));
+        }
+
+        if (rows.length === 0) {
+            return res.status(409).json({ success: false, error: 'None of these mockups has an approved version yet' });
+        }
+
+        const columns = (await getItemSetupColumns(req.workspace.id)) || DEFAULT_ITEM_SETUP_COLUMNS;
+        const table = itemSetupRows(columns, rows);
+        const filename = `item-setup-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        if (skipped.length) res.set('X-Item-Setup-Skipped', skipped.join(','));
+        res.attachment(filename);
+        if (format === 'xlsx') {
+            return res.send(toXlsx(table, 'Item Setup'));
+        }
+        res.type('text/csv').send(toCsv(table));
+    } catch (error) {
+        console.error('Error exporting item setup:', error);
+        res.status(500).json({ success: false, error: 'Failed to export item setup' });
+    }
+});
+
+// ============ CONTENT CHECKS ============
+
+// Listing copy is checked against Walmart content rules (lib/content-lint.js)
+// as it is edited, on save and on the dashboard. Each workspace can switch
+// rules off or tune them; only the changes from the defaults are stored.
+
+async function getLintRules(workspaceId) {
+    const workspace = workspaceId
+        ? await storage.findOne('workspaces', { id: workspaceId }, { columns: 'lint_rules' })
+        : null;
+    return workspace?.lint_rules || null;
+}
+
+function formatLintSettings(overrides) {
+    return { rules: describeLintRules(overrides), isDefault: !overrides };
+}
+
+app.get('/api/workspaces/:workspaceId/lint-rules', authenticateAPI, requireWorkspaceMember(), async (req, res) => {
+    try {
+        const overrides = await getLintRules(req.params.workspaceId);
+        res.json({ success: true, ...formatLintSettings(overrides) });
+    } catch (error) {
+        console.error('Error getting content rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to get content rules' });
+    }
+});
+
+// Save the workspace's rule settings: { rules: { [ruleId]: { enabled,
+// severity, min, max, words, allowed } } }. { rules: null } goes back to the
+// defaults.
+app.put('/api/workspaces/:workspaceId/lint-rules', authenticateAPI, requireWorkspaceMember('manage'), async (req, res) => {
+    try {
+        let overrides = null;
+        if (req.body.rules !== null) {
+            const parsed = parseLintRules(req.body.rules);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+            overrides = Object.keys(parsed.overrides).length ? parsed.overrides : null;
+        }
+
+        await storage.update('workspaces', { id: req.params.workspaceId }, { lint_rules: overrides });
+        res.json({ success: true, ...formatLintSettings(overrides) });
+    } catch (error) {
+        console.error('Error saving content rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to save content rules' });
+    }
+});
+
+// Check unsaved copy from the editor - protected. { data, mockupId } uses the
+// rules of the mockup's workspace; without a mockupId (a new mockup) the
+// active workspace's rules apply.
+app.post('/api/lint', authenticateAPI, async (req, res) => {
+    try {
+        const { data, mockupId } = req.body;
+        if (!data || typeof data !== 'object') {
+            return res.status(400).json({ success: false, error: 'Mockup data is required' });
+        }
+
+        let workspaceId = req.workspace.id;
+        if (mockupId) {
+            const mockup = await storage.findOne('mockups', { id: mockupId }, { columns: 'id, user_id, workspace_id' });
+            const permissions = await getMockupPermissions(mockup, req.user.id);
+            if (!permissions.includes('view')) {
+                return res.status(404).json({ success: false, error: 'Mockup not found' });
+            }
+            workspaceId = mockup.workspace_id;
+        }
+
+        res.json({ success: true, lint: lintListing(data, await getLintRules(workspaceId)) });
+    } catch (error) {
+        console.error('Error checking content:', error);
+        res.status(500).json({ success: false, error: 'Failed to check content' });
+    }
+});
+
+// ============ LIVE UPDATES ============
+
+// Tells open viewers and editors of a mockup what changed. `origin` is the
+// X-Client-Id of the tab that made the change, so it can ignore its own echo.
+function notifyMockup(req, mockupId, type, payload) {
+    events.publish(mockupId, type, { ...payload, origin: req.get('x-client-id') || null });
+}
+
+// Server-Sent Events stream of comment, version and save events - PUBLIC,
+// with the same access rules as the mockup itself
+app.get('/api/mockups/:id/events', requireViewerAccess, (req, res) => {
+    if (!events.subscribe(req.mockup.id, req, res, req.ip)) {
+        res.status(429).json({ success: false, error: 'Too many live update connections' });
+    }
+});
+
+// Open streams were only checked when they started. Routes that take access
+// away recheck them straight away; the timer catches links and viewer tokens
+// that expire on their own.
+const STREAM_RECHECK_MS = 60 * 1000;
+
+async function recheckStreams(mockupId) {
+    const mockup = await storage.findOne('mockups', { id: mockupId });
+    if (!mockup) return events.disconnect(mockupId);
+    await events.revalidate(mockupId, async req => Boolean(await getViewerAccess(req, mockup)));
+}
+
+// For changes that can affect any mockup, such as removing a team member
+async function recheckAllStreams() {
+    for (const mockupId of events.mockupIds()) {
+        await recheckStreams(mockupId).catch(error => console.error('Error rechecking live updates:', error));
+    }
+}
+
+// ============ NOTIFICATIONS ============
+
+// Team members can subscribe to client activity on a mockup, delivered
+// instantly or as a daily digest through the email or webhook channel.
+// Owners are subscribed to their own mockups automatically. Every event is
+// queued per subscription and marked once delivered, so the digest job only
+// has to send what is still pending.
+const NOTIFICATION_EVENTS = ['comment', 'reply', 'approval', 'new_visitor'];
+const NOTIFICATION_FREQUENCIES = ['instant', 'daily'];
+const NOTIFICATION_LABELS = {
+    comment: 'New comment',
+    reply: 'New reply',
+    approval: 'Client sign-off',
+    new_visitor: 'New visitor'
+};
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DIGEST_CHECK_MS = 15 * 60 * 1000;
+// Failed instant deliveries are retried by the digest check until they are
+// this old, then dropped
+const NOTIFICATION_RETRY_MS = 24 * 60 * 60 * 1000;
+
+function formatSubscription(row, secret = null) {
+    return {
+        id: row.id,
+        channel: row.channel,
+        target: row.target || null,
+        // Webhook payloads are signed; the full secret is only returned when
+        // it is created or rotated
+        ...(row.channel === 'webhook' && {
+            secret,
+            secretHint: row.secret ? `…${row.secret.slice(-4)}` : null
+        }),
+        frequency: row.frequency,
+        events: row.events,
+        lastDigestAt: row.last_digest_at || null,
+        createdAt: row.created_at
+    };
+}
+
+// Email subscriptions have no target: they always go to the subscriber's
+// current account address
+async function subscribeOwner(mockupId, userId) {
+    await storage.insert('notification_subscriptions', {
+        id: generateId(),
+        mockup_id: mockupId,
+        user_id: userId,
+        channel: 'email',
+        target: null,
+        frequency: 'instant',
+        events: NOTIFICATION_EVENTS,
+        last_digest_at: null
+    });
+}
+
+// Mockups from before notifications existed get their owners subscribed the
+// first time the server starts with no subscriptions at all
+async function subscribeExistingOwners() {
+    if (await storage.count('notification_subscriptions') > 0) return;
+
+    const mockups = await storage.find('mockups', { columns: 'id, user_id' });
+    const owned = mockups.filter(m => m.user_id);
+    for (const mockup of owned) await subscribeOwner(mockup.id, mockup.user_id);
+    if (owned.length > 0) console.log(`Subscribed owners of ${owned.length} mockups to notifications`);
+}
+
+// Checks the editable fields of a subscription; returns { error } or { fields }
+async function parseSubscriptionFields(body, channel) {
+    const fields = {};
+
+    if (body.frequency !== undefined) {
+        if (!NOTIFICATION_FREQUENCIES.includes(body.frequency)) return { error: 'Invalid frequency' };
+        fields.frequency = body.frequency;
+    }
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0 || !body.events.every(e => NOTIFICATION_EVENTS.includes(e))) {
+            return { error: 'Choose at least one valid event' };
+        }
+        fields.events = [...new Set(body.events)];
+    }
+    if (channel === 'webhook' && body.target !== undefined) {
+        if (typeof body.target !== 'string') {
+            return { error: 'Webhook URL must start with http:// or https://' };
+        }
+        const blocked = await checkWebhookUrl(body.target.trim());
+        if (blocked) return { error: blocked };
+        fields.target = body.target.trim();
+    }
+
+    return { fields };
+}
+
+function excerpt(text, max = 200) {
+    const clean = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+function buildNotification(mockup, events, digest) {
+    const title = mockup.data?.title || 'Untitled mockup';
+    const link = events[events.length - 1].link;
+    const subject = digest
+        ? `Daily digest: ${events.length} update${events.length === 1 ? '' : 's'} on "${title}"`
+        : `${NOTIFICATION_LABELS[events[0].type]} on "${title}"`;
+    const lines = events.map(e => e.summary);
+
+    return {
+        subject,
+        text: `${lines.map(line => (digest ? `- ${line}` : line)).join('\n')}\n\nOpen the mockup:\n${link}`,
+        html: `${digest
+            ? `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+            : `<p>${escapeHtml(lines[0])}</p>`}<p><a href="${link}">Open the mockup</a></p>`,
+        mockupId: mockup.id,
+        events: events.map(e => ({ type: e.type, summary: e.summary, link: e.link, createdAt: e.created_at }))
+    };
+}
+
+// Sends queued events to one subscription and marks them delivered.
+// Subscribers who were deactivated or lost access to the mockup are
+// unsubscribed instead.
+async function deliverNotifications(subscription, mockup, events, digest) {
+    const user = await storage.findOne('users', { id: subscription.user_id }, { columns: 'id, email, active' });
+    const permissions = user && user.active !== false ? await getMockupPermissions(mockup, user.id) : [];
+    if (!permissions.includes('view')) {
+        await storage.remove('notification_events', { subscription_id: subscription.id });
+        await storage.remove('notification_subscriptions', { id: subscription.id });
+        return;
+    }
+
+    let target = user.email;
+    if (subscription.channel === 'webhook') {
+        // Subscriptions from before payloads were signed get a secret on
+        // their next delivery; the subscriber can rotate it to see it
+        if (!subscription.secret) {
+            subscription.secret = createWebhookSecret();
+            await storage.update('notification_subscriptions', { id: subscription.id }, { secret: subscription.secret });
+        }
+        target = { url: subscription.target, secret: subscription.secret };
+    }
+    await notifier.deliver(subscription.channel, target, buildNotification(mockup, events, digest));
+    await storage.update('notification_events', { id: events.map(e => e.id) }, { delivered_at: new Date().toISOString() });
+}
+
+// Queues an event for every subscription that wants it and delivers the
+// instant ones. Never throws: a failed delivery is logged and stays pending
+// for retryInstantNotifications.
+// actorUserId keeps people from being notified about their own actions.
+async function notifySubscribers(mockup, type, summary, actorUserId = null) {
+    try {
+        const subscriptions = await storage.find('notification_subscriptions', { where: { mockup_id: mockup.id } });
+        const link = `${APP_URL}/editor?id=${mockup.id}`;
+
+        for (const subscription of subscriptions) {
+            if (!subscription.events.includes(type) || subscription.user_id === actorUserId) continue;
+
+            const event = await storage.insert('notification_events', {
+                id: generateId(),
+                subscription_id: subscription.id,
+                mockup_id: mockup.id,
+                type,
+                summary,
+                link,
+                delivered_at: null
+            });
+
+            if (subscription.frequency === 'instant') {
+                await deliverNotifications(subscription, mockup, [event], false)
+                    .catch(error => console.error('Error delivering notification:', error));
+            }
+        }
+    } catch (error) {
+        console.error('Error queuing notifications:', error);
+    }
+}
+
+// Sends each daily subscription its pending events, at most once a day
+// (counted from when it was created). `force` ignores the schedule.
+async function sendDailyDigests({ force = false } = {}) {
+    const dueBefore = new Date(Date.now() - DIGEST_INTERVAL_MS).toISOString();
+    const subscriptions = await storage.find('notification_subscriptions', { where: { frequency: 'daily' } });
+    let sent = 0;
+
+    for (const subscription of subscriptions) {
+        if (!force && (subscription.last_digest_at || subscription.created_at) > dueBefore) continue;
+
+        const pending = await storage.find('notification_events', {
+            where: { subscription_id: subscription.id, delivered_at: null },
+            orderBy: 'created_at',
+            ascending: true
+        });
+
+        try {
+            if (pending.length > 0) {
+                const mockup = await storage.findOne('mockups', { id: subscription.mockup_id });
+                if (!mockup) continue;
+                await deliverNotifications(subscription, mockup, pending, true);
+                sent++;
+            }
+            await storage.update('notification_subscriptions', { id: subscription.id }, { last_digest_at: new Date().toISOString() });
+        } catch (error) {
+            console.error('Error sending daily digest:', error);
+        }
+    }
+
+    return sent;
+}
+
+// Resends instant events whose delivery failed, oldest first, stopping at
+// the first failure. Events still pending after NOTIFICATION_RETRY_MS are
+// given up on.
+async function retryInstantNotifications() {
+    // Leave events alone for a minute so this doesn't race the first attempt
+    const settledBefore = new Date(Date.now() - 60 * 1000).toISOString();
+    const expiredBefore = new Date(Date.now() - NOTIFICATION_RETRY_MS).toISOString();
+    const subscriptions = await storage.find('notification_subscriptions', { where: { frequency: 'instant' } });
+    let sent = 0;
+
+    for (const subscription of subscriptions) {
+        const pending = await storage.find('notification_events', {
+            where: { subscription_id: subscription.id, delivered_at: null },
+            orderBy: 'created_at',
+            ascending: true
+        });
+        const expired = pending.filter(e => e.created_at < expiredBefore);
+        const due = pending.filter(e => e.created_at >= expiredBefore && e.created_at < settledBefore);
+
+        try {
+            if (expired.length > 0) {
+                await storage.remove('notification_events', { id: expired.map(e => e.id) });
+                console.error(`Gave up on ${expired.length} notifications for subscription ${subscription.id}`);
+            }
+            if (due.length > 0) {
+                const mockup = await storage.findOne('mockups', { id: subscription.mockup_id });
+                if (!mockup) continue;
+                for (const event of due) {
+                    await deliverNotifications(subscription, mockup, [event], false);
+                    sent++;
+                }
+            }
+        } catch (error) {
+            console.error('Error retrying notifications:', error);
+        }
+    }
+
+    return sent;
+}
+
+// Subscriptions belong to the signed-in user; nobody sees anyone else's
+app.get('/api/mockups/:id/subscriptions', authenticateAPI, requireMockupAccess('view'), async (req, res) => {
+    try {
+        const rows = await storage.find('notification_subscriptions', {
+            where: { mockup_id: req.mockup.id, user_id: req.user.id },
+            orderBy: 'created_at',
+            ascending: true
+        });
+
+        res.json({
+            success: true,
+            subscriptions: rows.map(row => formatSubscription(row)),
+            options: { events: NOTIFICATION_EVENTS, frequencies: NOTIFICATION_FREQUENCIES, channels: NOTIFICATION_CHANNELS },
+            email: req.user.email
+        });
+    } catch (error) {
+        console.error('Error listing subscriptions:', error);
+        res.status(500).json({ success: false, error: 'Failed to list subscriptions' });
+    }
+});
+
+app.post('/api/mockups/:id/subscriptions', authenticateAPI, requireMockupAccess('view'), async (req, res) => {
+    try {
+        const { channel } = req.body;
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+            return res.status(400).json({ success: false, error: 'Invalid channel' });
+        }
+
+        const { error, fields } = await parseSubscriptionFields({
+            frequency: 'instant',
+            events: NOTIFICATION_EVENTS,
+            ...req.body
+        }, channel);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (channel === 'webhook' && !fields.target) {
+            return res.status(400).json({ success: false, error: 'Webhook URL is required' });
+        }
+        if (channel === 'email') {
+            const existing = await storage.findOne('notification_subscriptions', { mockup_id: req.mockup.id, user_id: req.user.id, channel: 'email' });
+            if (existing) {
+                return res.status(400).json({ success: false, error: 'You already get email notifications for this mockup' });
+            }
+        }
+
+        const secret = channel === 'webhook' ? createWebhookSecret() : null;
+        const subscription = await storage.insert('notification_subscriptions', {
+            id: generateId(),
+            mockup_id: req.mockup.id,
+            user_id: req.user.id,
+            channel,
+            target: null,
+            secret,
+            last_digest_at: null,
+            ...fields
+        });
+
+        res.json({ success: true, subscription: formatSubscription(subscription, secret) });
+    } catch (error) {
+        console.error('Error creating subscription:', error);
+        res.status(500).json({ success: false, error: 'Failed to create subscription' });
+    }
+});
+
+app.put('/api/mockups/:id/subscriptions/:subscriptionId', authenticateAPI, requireMockupAccess('view'), async (req, res) => {
+    try {
+        const where = { id: req.params.subscriptionId, mockup_id: req.mockup.id, user_id: req.user.id };
+        const subscription = await storage.findOne('notification_subscriptions', where);
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+
+        const { error, fields } = await parseSubscriptionFields(req.body, subscription.channel);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const secret = subscription.channel === 'webhook' && req.body.rotateSecret ? createWebhookSecret() : null;
+        if (secret) fields.secret = secret;
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+
+        const [updated] = await storage.update('notification_subscriptions', where, fields);
+        res.json({ success: true, subscription: formatSubscription(updated, secret) });
+    } catch (error) {
+        console.error('Error updating subscription:', error);
+        res.status(500).json({ success: false, error: 'Failed to update subscription' });
+    }
+});
+
+app.delete('/api/mockups/:id/subscriptions/:subscriptionId', authenticateAPI, requireMockupAccess('view'), async (req, res) => {
+    try {
+        const where = { id: req.params.subscriptionId, mockup_id: req.mockup.id, user_id: req.user.id };
+        const subscription = await storage.findOne('notification_subscriptions', where, { columns: 'id' });
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+
+        await storage.remove('notification_events', { subscription_id: subscription.id });
+        await storage.remove('notification_subscriptions', where);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting subscription:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete subscription' });
+    }
+});
+
+// Send digests now rather than waiting for the schedule (admins only)
+app.post('/api/admin/notifications/digest', authenticateAPI, requireAdmin, async (req, res) => {
+    try {
+        const sent = await sendDailyDigests({ force: true });
+        res.json({ success: true, sent });
+    } catch (error) {
+        console.error('Error sending digests:', error);
+        res.status(500).json({ success: false, error: 'Failed to send digests' });
+    }
+});
+
+// ============ VIEW ANALYTICS ============
+
+// The viewer records one event per page load, then reports time on page and
+// which images and page sections were on screen as the visitor leaves.
+// Visitors are identified by a keyed hash, never by raw IP or browser ID.
+const ANALYTICS_SECTIONS = ['gallery', 'about', 'details', 'brand'];
+const MAX_VIEW_DURATION_MS = 12 * 60 * 60 * 1000;
+const VISITOR_HASH_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('visitor-hash').digest('hex');
+
+function visitorHash(req, mockupId) {
+    const visitorId = typeof req.body.visitorId === 'string' && req.body.visitorId
+        ? req.body.visitorId
+        : `${req.ip}|${req.get('user-agent') || ''}`;
+    return crypto.createHmac('sha256', VISITOR_HASH_SECRET).update(`${mockupId}:${visitorId}`).digest('hex').slice(0, 32);
+}
+
+// Keeps only known keys with sane millisecond values
+function cleanAttention(value, isValidKey) {
+    const result = {};
+    if (!value || typeof value !== 'object') return result;
+    for (const [key, ms] of Object.entries(value)) {
+        const duration = Math.round(Number(ms));
+        if (isValidKey(key) && duration > 0) result[key] = Math.min(duration, MAX_VIEW_DURATION_MS);
+    }
+    return result;
+}
+
+// Record a page view - PUBLIC. Team members' own views aren't counted.
+app.post('/api/mockups/:id/views', requireViewerAccess, async (req, res) => {
+    try {
+        const user = getOptionalUser(req);
+        if (user) {
+            const permissions = await getMockupPermissions(req.mockup, user.id);
+            if (permissions.includes('view')) {
+                return res.json({ success: true, viewId: null });
+            }
+        }
+
+        const link = req.shareLink;
+        const requestedVersion = parseInt(req.body.versionNumber);
+        const hash = visitorHash(req, req.mockup.id);
+        const returning = await storage.count('view_events', { mockup_id: req.mockup.id, visitor_hash: hash });
+        // Only the page that recorded the view can report on it; the token is
+        // stored hashed, like invite and reset tokens
+        const viewToken = crypto.randomBytes(16).toString('hex');
+        const event = await storage.insert('view_events', {
+            id: generateId(),
+            mockup_id: req.mockup.id,
+            share_link_id: link?.id || null,
+            version_number: link?.pinned_version || requestedVersion || req.mockup.current_version,
+            visitor_hash: hash,
+            token_hash: hashToken(viewToken),
+            duration_ms: 0,
+            image_attention: {},
+            section_attention: {}
+        });
+        if (!returning) {
+            notifySubscribers(req.mockup, 'new_visitor', link ? `Someone opened the mockup for the first time through the share link "${link.name}"` : 'Someone opened the mockup for the first time');
+        }
+
+        res.json({ success: true, viewId: event.id, viewToken });
+    } catch (error) {
+        console.error('Error recording view:', error);
+        res.status(500).json({ success: false, error: 'Failed to record view' });
+    }
+});
+
+// Update time on page and attention - PUBLIC, but needs the viewToken the
+// view was recorded with. Sent with navigator.sendBeacon, so it is a POST and
+// carries running totals rather than increments.
+app.post('/api/mockups/:id/views/:viewId', requireViewerAccess, async (req, res) => {
+    try {
+        const { id, viewId } = req.params;
+        const { viewToken } = req.body;
+        if (typeof viewToken !== 'string' || !viewToken) {
+            return res.status(403).json({ success: false, error: 'View token is required' });
+        }
+        const duration = Math.round(Number(req.body.durationMs)) || 0;
+
+        const updated = await storage.update('view_events', { id: viewId, mockup_id: id, token_hash: hashToken(viewToken) }, {
+            duration_ms: Math.min(Math.max(duration, 0), MAX_VIEW_DURATION_MS),
+            image_attention: cleanAttention(req.body.images, key => /^\d+$/.test(key)),
+            section_attention: cleanAttention(req.body.sections, key => ANALYTICS_SECTIONS.includes(key))
+        });
+        if (!updated.length) {
+            return res.status(404).json({ success: false, error: 'View not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error updating view:', error);
+        res.status(500).json({ success: false, error: 'Failed to update view' });
+    }
+});
+
+// Per-mockup analytics for the dashboard
+app.get('/api/mockups/:id/analytics', authenticateAPI, requireMockupAccess('view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const events = await storage.find('view_events', { where: { mockup_id: id } });
+        const links = await storage.find('share_links', { where: { mockup_id: id }, columns: 'id, name' });
+        const linkNames = Object.fromEntries(links.map(l => [l.id, l.name]));
+
+        const visitors = new Set();
+        const byDay = {};
+        const byLink = {};
+        const byVersion = {};
+        const images = {};
+        const sections = {};
+        let totalDuration = 0;
+        let timedViews = 0;
+
+        for (const event of events) {
+            visitors.add(event.visitor_hash);
+
+            const day = String(event.created_at).slice(0, 10);
+            byDay[day] = (byDay[day] || 0) + 1;
+
+            const linkKey = event.share_link_id || 'main';
+            byLink[linkKey] = byLink[linkKey] || { name: linkNames[event.share_link_id] || 'Main link', views: 0, visitors: new Set() };
+            byLink[linkKey].views++;
+            byLink[linkKey].visitors.add(event.visitor_hash);
+
+            byVersion[event.version_number] = (byVersion[event.version_number] || 0) + 1;
+
+            if (event.duration_ms > 0) {
+                totalDuration += event.duration_ms;
+                timedViews++;
+            }
+            for (const [index, ms] of Object.entries(event.image_attention || {})) {
+                images[index] = (images[index] || 0) + ms;
+            }
+            for (const [section, ms] of Object.entries(event.section_attention || {})) {
+                sections[section] = (sections[section] || 0) + ms;
+            }
+        }
+
+        res.json({
+            success: true,
+            analytics: {
+                views: events.length,
+                uniqueVisitors: visitors.size,
+                averageDurationMs: timedViews ? Math.round(totalDuration / timedViews) : 0,
+                lastViewedAt: events.reduce((latest, e) => (!latest || e.created_at > latest ? e.created_at : latest), null),
+                byDay: Object.entries(byDay).sort().map(([date, views]) => ({ date, views })),
+                byLink: Object.entries(byLink).map(([linkId, l]) => ({
+                    linkId: linkId === 'main' ? null : linkId,
+                    name: l.name,
+                    views: l.views,
+                    uniqueVisitors: l.visitors.size
+                })),
+                byVersion: Object.entries(byVersion).map(([version, views]) => ({ version: Number(version), views })),
+                imageAttention: Object.entries(images).map(([index, ms]) => ({ imageIndex: Number(index), ms })),
+                sectionAttention: Object.entries(sections).map(([section, ms]) => ({ section, ms }))
+            }
+        });
+    } catch (error) {
+        console.error('Error getting analytics:', error);
+        res.status(500).json({ success: false, error: 'Failed to get analytics' });
+    }
+});
+
+// ============ WORKSPACES API ============
+
+app.get('/api/workspaces', authenticateAPI, (req, res) => {
+    res.json({ success: true, workspaces: req.workspaces, activeWorkspaceId: req.workspace.id });
+});
+
+app.post('/api/workspaces', authenticateAPI, async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Workspace name is required' });
+        }
+
+        const workspace = await createWorkspace(name, req.user.id);
+        res.cookie('workspace_id', workspace.id, { sameSite: 'lax' });
+
+        res.json({ success: true, workspace: { id: workspace.id, name: workspace.name, role: 'owner' } });
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ success: false, error: 'Failed to create workspace' });
+    }
+});
+
+// Switch the dashboard to another workspace
+app.post('/api/workspaces/:workspaceId/activate', authenticateAPI, requireWorkspaceMember(), (req, res) => {
+    res.cookie('workspace_id', req.targetWorkspace.id, { sameSite: 'lax' });
+    res.json({ success: true, workspace: req.targetWorkspace });
+});
+
+app.get('/api/workspaces/:workspaceId/members', authenticateAPI, requireWorkspaceMember(), async (req, res) => {
+    try {
+        const members = await storage.find('workspace_members', {
+            where: { workspace_id: req.params.workspaceId },
+            orderBy: 'created_at',
+            ascending: true
+        });
+        const users = await storage.find('users', { where: { id: members.map(m => m.user_id) }, columns: 'id, email' });
+        const emails = Object.fromEntries(users.map(u => [u.id, u.email]));
+
+        res.json({
+            success: true,
+            members: members.map(m => ({ userId: m.user_id, email: emails[m.user_id] || null, role: m.role }))
+        });
+    } catch (error) {
+        console.error('Error listing members:', error);
+        res.status(500).json({ success: false, error: 'Failed to list members' });
+    }
+});
+
+// Add a user to the workspace by email, or change their role
+app.post('/api/workspaces/:workspaceId/members', authenticateAPI, requireWorkspaceMember('manage'), async (req, res) => {
+    try {
+        const { workspaceId } = req.params;
+        const { email, role } = req.body;
+
+        if (!email || !WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Email and a role (${WORKSPACE_ROLES.join(', ')}) are required` });
+        }
+
+        const user = await storage.findOne('users', { email: email.toLowerCase() }, { columns: 'id, email' });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'No user with that email' });
+        }
+
+        const existing = await storage.findOne('workspace_members', { workspace_id: workspaceId, user_id: user.id });
+        if (existing) {
+            if (existing.role === 'owner' && role !== 'owner' && await isLastOwner(workspaceId)) {
+                return res.status(400).json({ success: false, error: 'A workspace needs at least one owner' });
+            }
+            await storage.update('workspace_members', { id: existing.id }, { role });
+            await recheckAllStreams();
+        } else {
+            await storage.insert('workspace_members', {
+                id: generateId(),
+                workspace_id: workspaceId,
+                user_id: user.id,
+                role
+            });
+        }
+
+        res.json({ success: true, member: { userId: user.id, email: user.email, role } });
+    } catch (error) {
+        console.error('Error adding member:', error);
+        res.status(500).json({ success: false, error: 'Failed to add member' });
+    }
+});
+
+app.delete('/api/workspaces/:workspaceId/members/:userId', authenticateAPI, requireWorkspaceMember('manage'), async (req, res) => {
+    try {
+        const { workspaceId, userId } = req.params;
+
+        const member = await storage.findOne('workspace_members', { workspace_id: workspaceId, user_id: userId });
+        if (member?.role === 'owner' && await isLastOwner(workspaceId)) {
+            return res.status(400).json({ success: false, error: 'A workspace needs at least one owner' });
+        }
+
+        await storage.remove('workspace_members', { workspace_id: workspaceId, user_id: userId });
+        await recheckAllStreams();
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing member:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove member' });
+    }
+});
+
+async function isLastOwner(workspaceId) {
+    return await storage.count('workspace_members', { workspace_id: workspaceId, role: 'owner' }) <= 1;
+}
+
+// ============ WEBHOOKS ============
+
+// Workspace owners register URLs that receive lifecycle events for the
+// workspace's mockups. Every event becomes a delivery row that is attempted
+// straight away and then retried with backoff by a background job until it
+// succeeds or runs out of retries. The rows double as the delivery log.
+const WEBHOOK_EVENTS = [
+    'mockup.created',
+    'mockup.updated',
+    'mockup.deleted',
+    'version.archived',
+    'comment.created',
+    'comment.resolved',
+    'comment.deleted',
+    'ai.generation_finished'
+];
+const WEBHOOK_RETRY_CHECK_MS = 30 * 1000;
+const WEBHOOK_LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;   // 30 days
+const webhooksInFlight = new Set(); // delivery IDs being attempted right now
+
+function formatWebhook(row, secret = null) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: row.events,
+        active: row.active !== false,
+        // The full secret is only returned when it is created or rotated
+        secret,
+        secretHint: `…${row.secret.slice(-4)}`,
+        createdAt: row.created_at
+    };
+}
+
+function formatDelivery(row) {
+    return {
+        id: row.id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status ?? null,
+        error: row.error || null,
+        payload: row.payload,
+        lastAttemptAt: row.last_attempt_at || null,
+        nextAttemptAt: row.next_attempt_at || null,
+        createdAt: row.created_at
+    };
+}
+
+// What webhook payloads say about a mockup; never its full content
+function webhookMockup(mockup) {
+    return {
+        id: mockup.id,
+        title: mockup.data?.title || null,
+        currentVersion: mockup.current_version || 1
+    };
+}
+
+function webhookComment(row) {
+    return {
+        id: row.id,
+        versionNumber: row.version_number,
+        comment: row.comment,
+        author: row.author,
+        status: commentStatus(row),
+        priority: row.priority || 'normal',
+        category: row.category || null
+    };
+}
+
+// Checks the editable fields of a webhook; returns { error } or { fields }
+async function parseWebhookFields(body) {
+    const fields = {};
+
+    if (body.url !== undefined) {
+        if (typeof body.url !== 'string') {
+            return { error: 'Webhook URL must start with http:// or https://' };
+        }
+        const blocked = await checkWebhookUrl(body.url.trim());
+        if (blocked) return { error: blocked };
+        fields.url = body.url.trim();
+    }
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0 || !body.events.every(e => WEBHOOK_EVENTS.includes(e))) {
+            return { error: 'Choose at least one valid event' };
+        }
+        fields.events = [...new Set(body.events)];
+    }
+    if (body.active !== undefined) {
+        fields.active = !!body.active;
+    }
+
+    return { fields };
+}
+
+// Manual redeliveries pass retry: false and are tried once
+async function attemptWebhookDelivery(webhook, delivery, { retry = true } = {}) {
+    if (webhooksInFlight.has(delivery.id)) return;
+    webhooksInFlight.add(delivery.id);
+
+    try {
+        const attempts = (delivery.attempts || 0) + 1;
+        const result = await sendWebhook({
+            url: webhook.url,
+            secret: webhook.secret,
+            event: delivery.event,
+            deliveryId: delivery.id,
+            body: JSON.stringify(delivery.payload)
+        });
+        const retryIn = result.ok || !retry ? null : nextRetryDelay(attempts);
+
+        await storage.update('webhook_deliveries', { id: delivery.id }, {
+            status: result.ok ? 'succeeded' : retryIn ? 'pending' : 'failed',
+            attempts,
+            response_status: result.status,
+            error: result.error,
+            last_attempt_at: new Date().toISOString(),
+            next_attempt_at: retryIn ? new Date(Date.now() + retryIn).toISOString() : null
+        });
+    } finally {
+        webhooksInFlight.delete(delivery.id);
+    }
+}
+
+async function queueWebhookEvent(workspaceId, event, data) {
+    const webhooks = await storage.find('webhooks', { where: { workspace_id: workspaceId, active: true } });
+
+    for (const webhook of webhooks.filter(w => w.events.includes(event))) {
+        const id = generateId();
+        const delivery = await storage.insert('webhook_deliveries', {
+            id,
+            webhook_id: webhook.id,
+            event,
+            payload: { id, event, workspaceId, createdAt: new Date().toISOString(), data },
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: new Date().toISOString()
+        });
+        await attemptWebhookDelivery(webhook, delivery);
+    }
+}
+
+// Fire and forget from route handlers: slow or failing receivers never hold
+// up the response. Mockups from before workspaces existed have no webhooks.
+function emitWebhookEvent(workspaceId, event, data) {
+    if (!workspaceId) return;
+    queueWebhookEvent(workspaceId, event, data)
+        .catch(error => console.error('Error queuing webhook event:', error));
+}
+
+// Background job: retries deliveries that are due and prunes old log entries
+async function retryWebhookDeliveries() {
+    const now = new Date().toISOString();
+    const pending = await storage.find('webhook_deliveries', { where: { status: 'pending' } });
+
+    for (const delivery of pending.filter(d => d.next_attempt_at && d.next_attempt_at <= now)) {
+        const webhook = await storage.findOne('webhooks', { id: delivery.webhook_id });
+        if (!webhook || webhook.active === false) {
+            await storage.update('webhook_deliveries', { id: delivery.id }, {
+                status: 'failed',
+                error: 'Webhook was disabled',
+                next_attempt_at: null
+            });
+            continue;
+        }
+        await attemptWebhookDelivery(webhook, delivery);
+    }
+
+    const cutoff = new Date(Date.now() - WEBHOOK_LOG_RETENTION_MS).toISOString();
+    const finished = await storage.find('webhook_deliveries', {
+        where: { status: ['succeeded', 'failed'] },
+        columns: 'id, created_at'
+    });
+    const expired = finished.filter(d => d.created_at < cutoff).map(d => d.id);
+    if (expired.length > 0) await storage.remove('webhook_deliveries', { id: expired });
+}
+
+// Looks up a webhook in the workspace from the URL into req.webhook
+async function findWorkspaceWebhook(req, res, next) {
+    try {
+        const webhook = await storage.findOne('webhooks', {
+            id: req.params.webhookId,
+            workspace_id: req.targetWorkspace.id
+        });
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        req.webhook = webhook;
+        next();
+    } catch (error) {
+        console.error('Error loading webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to load webhook' });
     }
-});
+}
 
-// Create mockup - protected
-app.post('/api/mockups', authenticateAPI, async (req, res) => {
+app.get('/api/workspaces/:workspaceId/webhooks', authenticateAPI, requireWorkspaceMember('manage'), async (req, res) => {
     try {
-        const { data, password } = req.body;
-        const id = generateId();
-        const passwordHash = password ? hashPassword(password) : null;
-
-        const { error } = await supabase
-            .from('mockups')
-            .insert({
-                id,
-                data,
-                password_hash: passwordHash,
-                current_version: 1,
-                views: 0,
-                user_id: req.user.id
-            });
-
-        if (error) throw error;
+        const webhooks = await storage.find('webhooks', {
+            where: { workspace_id: req.targetWorkspace.id },
+            orderBy: 'created_at',
+            ascending: true
+        });
 
-        res.json({ success: true, id });
+        res.json({ success: true, webhooks: webhooks.map(w => formatWebhook(w)), events: WEBHOOK_EVENTS });
     } catch (error) {
-        console.error('Error creating mockup:', error);
-        res.status(500).json({ success: false, error: 'Failed to create mockup' });
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ success: false, error: 'Failed to list webhooks' });
     }
 });
 
-// Get mockup - PUBLIC (for viewer) but also works when authenticated
-app.get('/api/mockups/:id', async (req, res) => {
+app.post('/api/workspaces/:workspaceId/webhooks', authenticateAPI, requireWorkspaceMember('manage'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { password, version } = req.query;
-
-        const { data: mockup, error } = await supabase
-            .from('mockups')
-            .select('*')
-            .eq('id', id)
-            .single();
-
-        if (error || !mockup) {
-            return res.status(404).json({ success: false, error: 'Mockup not found' });
+        const { error, fields } = await parseWebhookFields({ events: WEBHOOK_EVENTS, ...req.body });
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-
-        if (mockup.password_hash) {
-            if (!password) {
-                return res.json({ success: false, passwordProtected: true });
-            }
-            if (hashPassword(password) !== mockup.password_hash) {
-                return res.status(401).json({ success: false, error: 'Invalid password' });
-            }
+        if (!fields.url) {
+            return res.status(400).json({ success: false, error: 'Webhook URL is required' });
         }
 
-        // Increment views
-        await supabase
-            .from('mockups')
-            .update({ views: mockup.views + 1 })
-            .eq('id', id);
-
-        // Get list of versions
-        const { data: versionsData, error: versionsError } = await supabase
-            .from('versions')
-            .select('id, version_number, created_at')
-            .eq('mockup_id', id)
-            .order('version_number', { ascending: true });
-
-        const versions = (versionsData || []).map(v => ({
-            id: v.id,
-            versionNumber: v.version_number,
-            createdAt: v.created_at
-        }));
-
-        // Add current version to the list
-        versions.push({
-            id: 'current',
-            versionNumber: mockup.current_version,
-            createdAt: mockup.updated_at || mockup.created_at,
-            isCurrent: true
+        const secret = createWebhookSecret();
+        const webhook = await storage.insert('webhooks', {
+            id: generateId(),
+            workspace_id: req.targetWorkspace.id,
+            secret,
+            active: true,
+            created_by: req.user.id,
+            ...fields
         });
 
-        // If requesting a specific archived version
-        if (version && version !== 'current' && parseInt(version) !== mockup.current_version) {
-            const { data: versionData, error: versionError } = await supabase
-                .from('versions')
-                .select('data')
-                .eq('mockup_id', id)
-                .eq('version_number', parseInt(version))
-                .single();
-
-            if (versionData) {
-                return res.json({
-                    success: true,
-                    data: versionData.data,
-                    views: mockup.views + 1,
-                    currentVersion: mockup.current_version,
-                    viewingVersion: parseInt(version),
-                    versions
-                });
-            }
-        }
-
-        res.json({
-            success: true,
-            data: mockup.data,
-            views: mockup.views + 1,
-            currentVersion: mockup.current_version,
-            viewingVersion: mockup.current_version,
-            versions
-        });
+        res.json({ success: true, webhook: formatWebhook(webhook, secret) });
     } catch (error) {
-        console.error('Error getting mockup:', error);
-        res.status(500).json({ success: false, error: 'Failed to get mockup' });
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to create webhook' });
     }
 });
 
-// Update mockup - protected
-app.put('/api/mockups/:id', authenticateAPI, async (req, res) => {
+// Change url, events or active; `rotateSecret: true` issues a new secret
+app.put('/api/workspaces/:workspaceId/webhooks/:webhookId', authenticateAPI, requireWorkspaceMember('manage'), findWorkspaceWebhook, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { data, password } = req.body;
-
-        const updateData = { data };
-        if (password) {
-            updateData.password_hash = hashPassword(password);
+        const { error, fields } = await parseWebhookFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const secret = req.body.rotateSecret ? createWebhookSecret() : null;
+        if (secret) fields.secret = secret;
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
         }
 
-        const { error } = await supabase
-            .from('mockups')
-            .update(updateData)
-            .eq('id', id);
+        const [webhook] = await storage.update('webhooks', { id: req.webhook.id }, fields);
+        res.json({ success: true, webhook: formatWebhook(webhook, secret) });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to update webhook' });
+    }
+});
 
-        if (error) throw error;
+app.delete('/api/workspaces/:workspaceId/webhooks/:webhookId', authenticateAPI, requireWorkspaceMember('manage'), findWorkspaceWebhook, async (req, res) => {
+    try {
+        await storage.remove('webhook_deliveries', { webhook_id: req.webhook.id });
+        await storage.remove('webhooks', { id: req.webhook.id });
 
-        res.json({ success: true, id });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Error updating mockup:', error);
-        res.status(500).json({ success: false, error: 'Failed to update mockup' });
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete webhook' });
     }
 });
 
-// Create new version - protected
-app.post('/api/mockups/:id/versions', authenticateAPI, async (req, res) => {
+// Delivery log, newest first
+app.get('/api/workspaces/:workspaceId/webhooks/:webhookId/deliveries', authenticateAPI, requireWorkspaceMember('manage'), findWorkspaceWebhook, async (req, res) => {
     try {
-        const { id } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const deliveries = await storage.find('webhook_deliveries', {
+            where: { webhook_id: req.webhook.id },
+            orderBy: 'created_at',
+            ascending: false,
+            limit
+        });
 
-        // Get current mockup
-        const { data: mockup, error: mockupError } = await supabase
-            .from('mockups')
-            .select('data, current_version')
-            .eq('id', id)
-            .single();
+        res.json({ success: true, deliveries: deliveries.map(formatDelivery) });
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ success: false, error: 'Failed to list deliveries' });
+    }
+});
 
-        if (mockupError || !mockup) {
-            return res.status(404).json({ success: false, error: 'Mockup not found' });
+// Send a logged delivery again, e.g. after fixing the receiver
+app.post('/api/workspaces/:workspaceId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticateAPI, requireWorkspaceMember('manage'), findWorkspaceWebhook, async (req, res) => {
+    try {
+        const delivery = await storage.findOne('webhook_deliveries', { id: req.params.deliveryId, webhook_id: req.webhook.id });
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        if (delivery.status === 'pending') {
+            return res.status(400).json({ success: false, error: 'This delivery is still being retried' });
         }
 
-        const currentVersion = mockup.current_version || 1;
-
-        // Get all comments for current version
-        const { data: comments, error: commentsError } = await supabase
-            .from('comments')
-            .select('*')
-            .eq('mockup_id', id)
-            .eq('version_number', currentVersion);
+        await attemptWebhookDelivery(req.webhook, delivery, { retry: false });
+        const updated = await storage.findOne('webhook_deliveries', { id: delivery.id });
 
-        // Archive current version with its comments
-        const versionId = generateId();
-        const { error: versionError } = await supabase
-            .from('versions')
-            .insert({
-                id: versionId,
-                mockup_id: id,
-                version_number: currentVersion,
-                data: mockup.data,
-                comments_snapshot: comments || []
-            });
+        res.json({ success: true, delivery: formatDelivery(updated) });
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to redeliver webhook' });
+    }
+});
 
-        if (versionError) throw versionError;
+// ============ SHARING API (creator or workspace owner) ============
 
-        // Increment version number
-        const newVersion = currentVersion + 1;
-        const { error: updateError } = await supabase
-            .from('mockups')
-            .update({ current_version: newVersion })
-            .eq('id', id);
+app.get('/api/mockups/:id/shares', authenticateAPI, requireMockupAccess('share'), async (req, res) => {
+    try {
+        const shares = await storage.find('mockup_shares', {
+            where: { mockup_id: req.params.id },
+            orderBy: 'created_at',
+            ascending: true
+        });
 
-        if (updateError) throw updateError;
+        const users = shares.length
+            ? await storage.find('users', { where: { id: shares.map(s => s.user_id) }, columns: 'id, email' })
+            : [];
+        const emails = Object.fromEntries(users.map(u => [u.id, u.email]));
 
         res.json({
             success: true,
-            previousVersion: currentVersion,
-            newVersion: newVersion,
-            message: `Version ${currentVersion} archived. Now editing version ${newVersion}.`
+            shares: shares.map(s => ({
+                userId: s.user_id,
+                email: emails[s.user_id] || null,
+                role: s.role,
+                createdAt: s.created_at
+            }))
         });
     } catch (error) {
-        console.error('Error creating new version:', error);
-        res.status(500).json({ success: false, error: 'Failed to create new version' });
+        console.error('Error listing shares:', error);
+        res.status(500).json({ success: false, error: 'Failed to list shares' });
     }
 });
 
-// Delete mockup - protected
-app.delete('/api/mockups/:id', authenticateAPI, async (req, res) => {
+// Share with a teammate by email, or change their role if already shared
+app.post('/api/mockups/:id/shares', authenticateAPI, requireMockupAccess('share'), async (req, res) => {
     try {
         const { id } = req.params;
+        const { email, role } = req.body;
 
-        const { error } = await supabase
-            .from('mockups')
-            .delete()
-            .eq('id', id);
+        if (!email || !SHARE_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: 'Email and a role of editor or viewer are required' });
+        }
 
-        if (error) throw error;
+        const user = await storage.findOne('users', { email: email.toLowerCase() }, { columns: 'id, email' });
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'No user with that email' });
+        }
+        if (user.id === req.mockup.user_id) {
+            return res.status(400).json({ success: false, error: 'The owner already has full access' });
+        }
 
-        res.json({ success: true });
+        const existing = await storage.findOne('mockup_shares', { mockup_id: id, user_id: user.id });
+        if (existing) {
+            await storage.update('mockup_shares', { id: existing.id }, { role });
+        } else {
+            await storage.insert('mockup_shares', {
+                id: generateId(),
+                mockup_id: id,
+                user_id: user.id,
+                role
+            });
+        }
+
+        res.json({ success: true, share: { userId: user.id, email: user.email, role } });
     } catch (error) {
-        console.error('Error deleting mockup:', error);
-        res.status(500).json({ success: false, error: 'Failed to delete mockup' });
+        console.error('Error sharing mockup:', error);
+        res.status(500).json({ success: false, error: 'Failed to share mockup' });
     }
 });
 
-// ============ COMMENTS API (Mostly Public for clients) ============
-
-app.get('/api/mockups/:id/comments', async (req, res) => {
+app.delete('/api/mockups/:id/shares/:userId', authenticateAPI, requireMockupAccess('share'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { version } = req.query;
+        const { id, userId } = req.params;
 
-        // Get mockup's current version if no specific version requested
-        let versionToQuery = version;
-        if (!versionToQuery) {
-            const { data: mockup } = await supabase
-                .from('mockups')
-                .select('current_version')
-                .eq('id', id)
-                .single();
-            versionToQuery = mockup?.current_version || 1;
-        }
+        await storage.remove('mockup_shares', { mockup_id: id, user_id: userId });
+        await recheckStreams(id);
 
-        // For archived versions, get from snapshot
-        if (version && version !== 'current') {
-            const { data: versionData, error: versionError } = await supabase
-                .from('versions')
-                .select('comments_snapshot')
-                .eq('mockup_id', id)
-                .eq('version_number', parseInt(version))
-                .single();
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing share:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove share' });
+    }
+});
 
-            if (versionData?.comments_snapshot) {
-                const comments = versionData.comments_snapshot.map(row => ({
-                    id: row.id,
-                    x: row.x,
-                    y: row.y,
-                    width: row.width,
-                    height: row.height,
-                    imageIndex: row.image_index,
-                    versionNumber: row.version_number,
-                    comment: row.comment,
-                    author: row.author,
-                    authorToken: row.author_token,
-                    resolved: row.resolved,
-                    createdAt: row.created_at
-                }));
-                return res.json({ success: true, comments, version: parseInt(version), isArchived: true });
-            }
-        }
+// ============ SHARE LINKS API ============
+
+function formatShareLink(link) {
+    return {
+        id: link.id,
+        name: link.name,
+        url: `/s/${link.token}`,
+        hasPassword: !!link.password_hash,
+        expiresAt: link.expires_at || null,
+        maxViews: link.max_views || null,
+        views: link.view_count || 0,
+        pinnedVersion: link.pinned_version || null,
+        allowComments: !!link.allow_comments,
+        allowApprovals: link.allow_approvals !== false,
+        status: shareLinkStatus(link),
+        createdAt: link.created_at
+    };
+}
 
-        // Get live comments for current version
-        const { data: comments, error } = await supabase
-            .from('comments')
-            .select('*')
-            .eq('mockup_id', id)
-            .eq('version_number', versionToQuery)
-            .order('created_at', { ascending: true });
-
-        if (error) throw error;
-
-        const formattedComments = (comments || []).map(row => ({
-            id: row.id,
-            x: row.x,
-            y: row.y,
-            width: row.width,
-            height: row.height,
-            imageIndex: row.image_index,
-            versionNumber: row.version_number,
-            comment: row.comment,
-            author: row.author,
-            authorToken: row.author_token,
-            resolved: row.resolved,
-            createdAt: row.created_at
-        }));
+app.get('/api/mockups/:id/links', authenticateAPI, requireMockupAccess('share'), async (req, res) => {
+    try {
+        const links = await storage.find('share_links', {
+            where: { mockup_id: req.params.id },
+            orderBy: 'created_at',
+            ascending: false
+        });
 
-        res.json({ success: true, comments: formattedComments, version: versionToQuery, isArchived: false });
+        res.json({
+            success: true,
+            publicAccess: req.mockup.public_access !== false,
+            links: links.map(formatShareLink)
+        });
     } catch (error) {
-        console.error('Error getting comments:', error);
-        res.status(500).json({ success: false, error: 'Failed to get comments' });
+        console.error('Error listing share links:', error);
+        res.status(500).json({ success: false, error: 'Failed to list share links' });
     }
 });
 
-// Create comment - PUBLIC (clients can leave feedback)
-app.post('/api/mockups/:id/comments', async (req, res) => {
+app.post('/api/mockups/:id/links', authenticateAPI, requireMockupAccess('share'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { x, y, width, height, imageIndex, comment, author, authorToken } = req.body;
-        const commentId = generateId();
-
-        // Get current version
-        const { data: mockup } = await supabase
-            .from('mockups')
-            .select('current_version')
-            .eq('id', id)
-            .single();
+        const { name, password, expiresAt, maxViews, pinnedVersion, allowComments, allowApprovals } = req.body;
 
-        const versionNumber = mockup?.current_version || 1;
-
-        const { error } = await supabase
-            .from('comments')
-            .insert({
-                id: commentId,
-                mockup_id: id,
-                version_number: versionNumber,
-                x,
-                y,
-                width,
-                height,
-                image_index: imageIndex,
-                comment,
-                author,
-                author_token: authorToken,
-                resolved: false
-            });
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, error: 'Give the link a name' });
+        }
+        if (expiresAt && isNaN(new Date(expiresAt))) {
+            return res.status(400).json({ success: false, error: 'Invalid expiry date' });
+        }
+        if (maxViews && !(parseInt(maxViews) > 0)) {
+            return res.status(400).json({ success: false, error: 'View limit must be a positive number' });
+        }
+        if (pinnedVersion && parseInt(pinnedVersion) !== req.mockup.current_version) {
+            const exists = await storage.count('versions', { mockup_id: id, version_number: parseInt(pinnedVersion) });
+            if (!exists) {
+                return res.status(400).json({ success: false, error: `Version ${pinnedVersion} doesn't exist` });
+            }
+        }
 
-        if (error) throw error;
+        const link = await storage.insert('share_links', {
+            id: generateId(),
+            token: crypto.randomBytes(12).toString('base64url'),
+            mockup_id: id,
+            name: name.trim(),
+            password_hash: password ? await hashPassword(password) : null,
+            expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+            max_views: maxViews ? parseInt(maxViews) : null,
+            view_count: 0,
+            pinned_version: pinnedVersion ? parseInt(pinnedVersion) : null,
+            allow_comments: allowComments !== false,
+            allow_approvals: allowApprovals !== false,
+            revoked_at: null,
+            created_by: req.user.id
+        });
 
-        res.json({ success: true, id: commentId });
+        res.json({ success: true, link: formatShareLink(link) });
     } catch (error) {
-        console.error('Error adding comment:', error);
-        res.status(500).json({ success: false, error: 'Failed to add comment' });
+        console.error('Error creating share link:', error);
+        res.status(500).json({ success: false, error: 'Failed to create share link' });
     }
 });
 
-// Update comment - PUBLIC (author can edit own comments)
-app.put('/api/mockups/:id/comments/:commentId', async (req, res) => {
+// Revoke a link; it stays listed so you can see who had access
+app.delete('/api/mockups/:id/links/:linkId', authenticateAPI, requireMockupAccess('share'), async (req, res) => {
     try {
-        const { commentId } = req.params;
-        const { comment, authorToken } = req.body;
-
-        // Check authorization
-        const { data: existing } = await supabase
-            .from('comments')
-            .select('author_token')
-            .eq('id', commentId)
-            .single();
+        const { id, linkId } = req.params;
 
-        if (existing && existing.author_token !== authorToken) {
-            return res.status(403).json({ success: false, error: 'Not authorized to edit this comment' });
+        const [link] = await storage.update('share_links', { id: linkId, mockup_id: id }, { revoked_at: new Date().toISOString() });
+        if (!link) {
+            return res.status(404).json({ success: false, error: 'Share link not found' });
         }
+        await recheckStreams(id);
 
-        const { error } = await supabase
-            .from('comments')
-            .update({ comment })
-            .eq('id', commentId);
-
-        if (error) throw error;
-
-        res.json({ success: true });
+        res.json({ success: true, link: formatShareLink(link) });
     } catch (error) {
-        console.error('Error updating comment:', error);
-        res.status(500).json({ success: false, error: 'Failed to update comment' });
+        console.error('Error revoking share link:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke share link' });
     }
 });
 
-// Delete ALL comments for a mockup - protected (designer action)
-app.delete('/api/mockups/:id/comments', authenticateAPI, async (req, res) => {
+// Turn the main /mockup/:id URL on or off, e.g. to only allow named links
+app.put('/api/mockups/:id/public-access', authenticateAPI, requireMockupAccess('share'), async (req, res) => {
     try {
-        const { id } = req.params;
-
-        const { error } = await supabase
-            .from('comments')
-            .delete()
-            .eq('mockup_id', id);
-
-        if (error) throw error;
-
-        res.json({ success: true });
+        const enabled = req.body.enabled !== false;
+        await storage.update('mockups', { id: req.params.id }, { public_access: enabled });
+        if (!enabled) await recheckStreams(req.params.id);
+        res.json({ success: true, publicAccess: enabled });
     } catch (error) {
-        console.error('Error deleting all comments:', error);
-        res.status(500).json({ success: false, error: 'Failed to delete comments' });
+        console.error('Error updating public access:', error);
+        res.status(500).json({ success: false, error: 'Failed to update public access' });
     }
 });
 
-// Delete single comment - PUBLIC (author can delete own) or protected (designer can delete any)
-app.delete('/api/mockups/:id/comments/:commentId', async (req, res) => {
+// Open a share link - PUBLIC. Returns the mockup to load, or asks for the
+// link's password.
+app.get('/api/links/:token', async (req, res) => {
     try {
-        const { commentId } = req.params;
-        const { authorToken } = req.query;
-        
-        // Check if user is authenticated (designer)
-        const token = req.cookies.auth_token;
-        let isDesigner = false;
-        if (token) {
-            try {
-                jwt.verify(token, JWT_SECRET);
-                isDesigner = true;
-            } catch (err) {}
+        const link = await storage.findOne('share_links', { token: req.params.token });
+        if (!link) {
+            return res.status(404).json({ success: false, error: 'This link doesn\'t exist' });
         }
 
-        // If not designer, check author token
-        if (!isDesigner && authorToken) {
-            const { data: existing } = await supabase
-                .from('comments')
-                .select('author_token')
-                .eq('id', commentId)
-                .single();
-
-            if (existing && existing.author_token !== authorToken) {
-                return res.status(403).json({ success: false, error: 'Not authorized to delete this comment' });
-            }
-        } else if (!isDesigner) {
-            return res.status(403).json({ success: false, error: 'Not authorized' });
+        // Reloading the page shouldn't count as another view
+        const claims = readViewerToken(req);
+        if (claims?.linkId === link.id && isLinkSessionValid(link, claims)) {
+            return res.json({ success: true, mockupId: link.mockup_id });
         }
 
-        const { error } = await supabase
-            .from('comments')
-            .delete()
-            .eq('id', commentId);
+        const unavailable = shareLinkUnavailable(link);
+        if (unavailable) {
+            return res.status(410).json({ success: false, error: unavailable });
+        }
 
-        if (error) throw error;
+        if (link.password_hash) {
+            return res.json({ success: false, passwordProtected: true, name: link.name });
+        }
 
-        res.json({ success: true });
+        await openShareLink(res, link);
     } catch (error) {
-        console.error('Error deleting comment:', error);
-        res.status(500).json({ success: false, error: 'Failed to delete comment' });
+        console.error('Error opening share link:', error);
+        res.status(500).json({ success: false, error: 'Failed to open link' });
     }
 });
 
-// Resolve comment - protected (designer action)
-app.put('/api/mockups/:id/comments/:commentId/resolve', authenticateAPI, async (req, res) => {
+app.post('/api/links/:token/unlock', async (req, res) => {
     try {
-        const { commentId } = req.params;
-        const { resolved } = req.body;
+        const link = await storage.findOne('share_links', { token: req.params.token });
+        if (!link) {
+            return res.status(404).json({ success: false, error: 'This link doesn\'t exist' });
+        }
 
-        const { error } = await supabase
-            .from('comments')
-            .update({ resolved })
-            .eq('id', commentId);
+        const unavailable = shareLinkUnavailable(link);
+        if (unavailable) {
+            return res.status(410).json({ success: false, error: unavailable });
+        }
 
-        if (error) throw error;
+        if (link.password_hash) {
+            const { valid, needsRehash } = await verifyPassword(req.body.password, link.password_hash);
+            if (!valid) {
+                return res.status(401).json({ success: false, error: 'Invalid password' });
+            }
+            if (needsRehash) {
+                link.password_hash = await hashPassword(req.body.password);
+                await storage.update('share_links', { id: link.id }, { password_hash: link.password_hash });
+            }
+        }
 
-        res.json({ success: true });
+        await openShareLink(res, link);
     } catch (error) {
-        console.error('Error resolving comment:', error);
-        res.status(500).json({ success: false, error: 'Failed to resolve comment' });
+        console.error('Error unlocking share link:', error);
+        res.status(500).json({ success: false, error: 'Failed to open link' });
     }
 });
 
-// ============ VERSIONS API ============
+function shareLinkUnavailable(link) {
+    return {
+        revoked: 'This link has been revoked',
+        expired: 'This link has expired',
+        limit_reached: 'This link has reached its view limit'
+    }[shareLinkStatus(link)] || null;
+}
 
-app.get('/api/mockups/:id/versions', async (req, res) => {
-    try {
-        const { id } = req.params;
+// Counts a view and gives the visitor a viewer token for the link. The count
+// and the view limit are checked in one atomic write, so visitors opening the
+// link at the same moment can't go past the limit.
+async function openShareLink(res, link) {
+    const counted = await storage.increment('share_links', { id: link.id }, 'view_count', { max: link.max_views || null });
+    if (!counted) {
+        return res.status(410).json({ success: false, error: 'This link has reached its view limit' });
+    }
+    const token = issueViewerToken(res, { id: link.mockup_id }, link);
+    // Also send it back to this link's endpoint, so reopening it is recognised
+    res.cookie('viewer_token', token, {
+        ...viewerCookieOptions(link.mockup_id),
+        path: `/api/links/${link.token}`,
+        maxAge: VIEWER_TOKEN_TTL_SECONDS * 1000
+    });
+    res.json({ success: true, mockupId: link.mockup_id, token, expiresIn: VIEWER_TOKEN_TTL_SECONDS });
+}
 
-        const { data: versions, error } = await supabase
-            .from('versions')
-            .select('id, version_number, created_at')
-            .eq('mockup_id', id)
-            .order('version_number', { ascending: false });
+// ============ ASSETS API ============
 
-        if (error) throw error;
+// Upload an image - protected. The body is the raw file with its image/*
+// Content-Type; identical files are stored once and return the same ID.
+app.post('/api/assets', authenticateAPI, express.raw({ type: 'image/*', limit: '20mb' }), async (req, res) => {
+    try {
+        const mimeType = (req.headers['content-type'] || '').split(';')[0].trim();
 
-        const formattedVersions = (versions || []).map(v => ({
-            id: v.id,
-            versionNumber: v.version_number,
-            createdAt: v.created_at
-        }));
+        if (!isSupportedType(mimeType)) {
+            return res.status(415).json({ success: false, error: 'Unsupported image type' });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, error: 'Image data is required' });
+        }
 
-        res.json({ success: true, versions: formattedVersions });
+        const asset = await assets.saveAsset(req.body, mimeType, req.user.id);
+
+        res.json({
+            success: true,
+            asset: {
+                id: asset.id,
+                url: `/assets/${asset.id}`,
+                mimeType: asset.mime_type,
+                size: asset.size,
+                width: asset.width,
+                height: asset.height
+            }
+        });
     } catch (error) {
-        console.error('Error getting versions:', error);
-        res.status(500).json({ success: false, error: 'Failed to get versions' });
+        console.error('Error uploading asset:', error);
+        res.status(500).json({ success: false, error: 'Failed to upload image' });
     }
 });
 
-app.get('/api/mockups/:id/versions/:versionId', async (req, res) => {
-    try {
-        const { versionId } = req.params;
+// Check product images against Walmart's image requirements - protected.
+// { images: [assetId, ...] } in display order; the first is checked as the
+// main image. Images that aren't uploaded assets (older data URLs or links)
+// come back as "unknown".
+const MAX_COMPLIANCE_IMAGES = 50;
 
-        const { data: version, error } = await supabase
-            .from('versions')
-            .select('*')
-            .eq('id', versionId)
-            .single();
+app.post('/api/assets/compliance', authenticateAPI, async (req, res) => {
+    try {
+        const { images } = req.body;
+        if (!Array.isArray(images) || images.length > MAX_COMPLIANCE_IMAGES) {
+            return res.status(400).json({ success: false, error: `images must be a list of at most ${MAX_COMPLIANCE_IMAGES} asset IDs` });
+        }
 
-        if (error || !version) {
-            return res.status(404).json({ success: false, error: 'Version not found' });
+        const results = [];
+        for (const [index, id] of images.entries()) {
+            const asset = await assets.getAnalyzedAsset(id);
+            if (!asset) {
+                results.push({ index, id: null, status: 'unknown', checks: [] });
+                continue;
+            }
+            const { status, checks } = checkImageCompliance({
+                mimeType: asset.mime_type,
+                size: asset.size,
+                ...asset.analysis
+            }, { main: index === 0 });
+            results.push({ index, id, status, checks });
         }
 
+        const count = status => results.filter(r => r.status === status).length;
         res.json({
             success: true,
-            version: {
-                id: version.id,
-                mockupId: version.mockup_id,
-                versionNumber: version.version_number,
-                data: version.data,
-                commentsSnapshot: version.comments_snapshot,
-                createdAt: version.created_at
-            }
+            status: worstStatus(results.map(r => r.status).filter(s => s !== 'unknown')),
+            summary: { pass: count('pass'), warn: count('warn'), fail: count('fail'), unknown: count('unknown') },
+            images: results
         });
     } catch (error) {
-        console.error('Error getting version:', error);
-        res.status(500).json({ success: false, error: 'Failed to get version' });
+        console.error('Error checking images:', error);
+        res.status(500).json({ success: false, error: 'Failed to check images' });
     }
 });
 
-app.delete('/api/mockups/:id/versions/:versionNum', authenticateAPI, async (req, res) => {
+// Serve an image - PUBLIC (viewer needs it). ?size=thumbnail|main|zoom returns
+// a resized copy as WebP, or JPEG for browsers that don't accept WebP.
+// Content never changes for an ID, so browsers may cache it forever.
+app.get('/assets/:id', async (req, res) => {
     try {
-        const { id, versionNum } = req.params;
+        const { size } = req.query;
 
-        // Can't delete current version
-        const { data: mockup } = await supabase
-            .from('mockups')
-            .select('current_version')
-            .eq('id', id)
-            .single();
-
-        if (mockup && parseInt(versionNum) >= mockup.current_version) {
-            return res.status(400).json({ success: false, error: 'Cannot delete current version' });
+        if (size && !isVariantSize(size)) {
+            return res.status(400).json({ success: false, error: 'Unknown image size' });
         }
 
-        const { error } = await supabase
-            .from('versions')
-            .delete()
-            .eq('mockup_id', id)
-            .eq('version_number', parseInt(versionNum));
+        const acceptsWebp = (req.headers.accept || '').includes('image/webp');
+        const format = req.query.format || (acceptsWebp ? 'webp' : 'jpeg');
+        const found = await assets.getAsset(req.params.id, { size, format });
 
-        if (error) throw error;
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Asset not found' });
+        }
 
-        res.json({ success: true, deletedVersion: parseInt(versionNum) });
+        res.set('Content-Type', found.mimeType);
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        res.set('Vary', 'Accept');
+        res.send(found.buffer);
     } catch (error) {
-        console.error('Error deleting version:', error);
-        res.status(500).json({ success: false, error: 'Failed to delete version' });
+        console.error('Error serving asset:', error);
+        res.status(500).json({ success: false, error: 'Failed to load asset' });
     }
 });
 
+// ============ RETAILER TEMPLATES ============
+
+// Retailers a mockup can be previewed as, with the fields each page shows and
+// their limits - PUBLIC (the viewer renders from it). See lib/retailers.js.
+app.get('/api/retailers', (req, res) => {
+    res.json({ success: true, retailers: listRetailers() });
+});
+
 // ============ AI GENERATION API ============
 
 // List available models
@@ -838,7 +3949,7 @@ app.post('/api/ai/generate', authenticateAPI, async (req, res) => {
     }
 
     try {
-        const { productInfo, fieldsToGenerate } = req.body;
+        const { productInfo, fieldsToGenerate, retailer } = req.body;
         
         if (!productInfo) {
             return res.status(400).json({ success: false, error: 'Product info is required' });
@@ -847,7 +3958,7 @@ app.post('/api/ai/generate', authenticateAPI, async (req, res) => {
         console.log('Product info length:', productInfo.length);
         
         // Build the prompt based on what fields to generate
-        const prompt = buildWalmartPrompt(productInfo, fieldsToGenerate);
+        const prompt = buildListingPrompt(productInfo, fieldsToGenerate, retailer);
         
         console.log('Calling Gemini API...');
         
@@ -904,6 +4015,12 @@ app.post('/api/ai/generate', authenticateAPI, async (req, res) => {
         }
         
         console.log('Successfully parsed content');
+        emitWebhookEvent(req.workspace.id, 'ai.generation_finished', {
+            kind: 'listing',
+            fields: fieldsToGenerate || null,
+            generated: parsedContent,
+            user: { id: req.user.id, email: req.user.email }
+        });
         res.json({ success: true, generated: parsedContent });
     } catch (error) {
         console.error('AI generation error:', error.message);
@@ -919,9 +4036,9 @@ app.post('/api/ai/regenerate-field', authenticateAPI, async (req, res) => {
     }
 
     try {
-        const { productInfo, field, currentValue } = req.body;
+        const { productInfo, field, currentValue, retailer } = req.body;
         
-        const prompt = buildFieldRegeneratePrompt(productInfo, field, currentValue);
+        const prompt = buildFieldRegeneratePrompt(productInfo, field, currentValue, retailer);
         
         const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`, {
             method: 'POST',
@@ -950,6 +4067,12 @@ app.post('/api/ai/regenerate-field', authenticateAPI, async (req, res) => {
 
         // Clean up the response
         const cleanedValue = generatedText.trim().replace(/^["']|["']$/g, '');
+        emitWebhookEvent(req.workspace.id, 'ai.generation_finished', {
+            kind: 'field',
+            fields: [field],
+            generated: { [field]: cleanedValue },
+            user: { id: req.user.id, email: req.user.email }
+        });
         
         res.json({ success: true, value: cleanedValue });
     } catch (error) {
@@ -958,58 +4081,64 @@ app.post('/api/ai/regenerate-field', authenticateAPI, async (req, res) => {
     }
 });
 
-function buildWalmartPrompt(productInfo, fieldsToGenerate) {
-    const allFields = !fieldsToGenerate || fieldsToGenerate.length === 0;
-    
-    return `You are an expert e-commerce copywriter specializing in Walmart product listings. Generate optimized product content based on the following information:
+const ORDINALS = ['First', 'Second', 'Third', 'Fourth'];
+
+// A few example entries for a list field, so the model answers with an
+// array of separate strings
+function exampleItems(settings, noun, count) {
+    return ORDINALS.slice(0, count).map((ordinal, i) => {
+        if (i === 0) return `${ordinal} ${noun} for ${settings.label}: ${settings.guidance}`;
+        return i === count - 1 ? `${ordinal} ${noun} (as many as the guidance asks for)` : `${ordinal} ${noun}`;
+    });
+}
+
+// Listing copy prompt written to the chosen retailer's guidelines and limits
+// (lib/retailers.js); mockups without a retailer are Walmart listings.
+// fieldsToGenerate limits the response to those fields; empty means all.
+function buildListingPrompt(productInfo, fieldsToGenerate, retailerId) {
+    const retailer = getRetailer(retailerId);
+    const { fields } = retailer;
+    const shape = {
+        brand: fields.brand.guidance,
+        title: fields.title.guidance,
+        price: fields.price.guidance,
+        packSize: fields.packSize.guidance,
+        ingredients: fields.ingredients.guidance,
+        bullets: exampleItems(fields.bullets, 'bullet', 4),
+        detailsBullets: exampleItems(fields.detailsBullets, 'item', 3),
+        fullDescription: `${fields.fullDescription.label}: ${fields.fullDescription.guidance}`
+    };
+    const requested = Array.isArray(fieldsToGenerate) ? fieldsToGenerate.filter(field => field in shape) : [];
+    if (requested.length > 0) {
+        for (const field of Object.keys(shape)) {
+            if (!requested.includes(field)) delete shape[field];
+        }
+    }
+
+    return `You are an expert e-commerce copywriter specializing in ${retailer.name} product listings. Generate optimized product content based on the following information:
 
 PRODUCT INFORMATION:
 ${productInfo}
 
-Generate the following content for a Walmart Product Detail Page (PDP). The content should be:
-- Clear, concise, and customer-focused
-- Optimized for search (include relevant keywords naturally)
-- Following Walmart's style guidelines
-- Professional but approachable tone
-
-Please respond in the following JSON format ONLY (no markdown, no code blocks, just valid JSON):
-
-{
-  "brand": "Brand name (2-3 words max)",
-  "title": "Product title optimized for Walmart (50-75 characters, include key features)",
-  "price": "Suggested price as a number only, e.g., 12.97",
-  "packSize": "Pack size or quantity (e.g., '16 oz', '2 Pack', '100 Count')",
-  "ingredients": "Key ingredients or materials if applicable, otherwise leave empty",
-  "bullets": [
-    "First key benefit or feature (start with action verb or key benefit)",
-    "Second key benefit or feature",
-    "Third key benefit or feature",
-    "Fourth key benefit or feature (if applicable)"
-  ],
-  "detailsBullets": [
-    "Additional product detail 1",
-    "Additional product detail 2",
-    "Additional product detail 3"
-  ],
-  "fullDescription": "2-3 sentence product description for the 'Product Details' section. Focus on benefits and use cases."
-}
+Generate the following content for a ${retailer.name} Product Detail Page (PDP). The content should be:
+${retailer.guidelines.map(line => `- ${line}`).join('\n')}
+
+Please respond in the following JSON format ONLY (no markdown, no code blocks, just valid JSON). Each value describes what to write:
+
+${JSON.stringify(shape, null, 2)}
 
 Remember: Return ONLY the JSON object, no additional text or formatting.`;
 }
 
-function buildFieldRegeneratePrompt(productInfo, field, currentValue) {
-    const fieldDescriptions = {
-        brand: 'a brand name (2-3 words max)',
-        title: 'a Walmart product title (50-75 characters, optimized for search)',
-        price: 'a competitive price (number only, e.g., 12.97)',
-        packSize: 'a pack size or quantity (e.g., "16 oz", "2 Pack")',
-        ingredients: 'a list of key ingredients or materials',
-        bullets: '4 key feature bullet points (each starting with action verb or benefit)',
-        detailsBullets: '3 additional product detail bullets',
-        fullDescription: 'a 2-3 sentence product description focusing on benefits'
-    };
+function buildFieldRegeneratePrompt(productInfo, field, currentValue, retailerId) {
+    const retailer = getRetailer(retailerId);
+    const settings = retailer.fields[field];
+    const description = settings ? `${settings.label}: ${settings.guidance}` : field;
 
-    return `You are an expert e-commerce copywriter for Walmart. 
+    return `You are an expert e-commerce copywriter for ${retailer.name}.
+
+GUIDELINES:
+${retailer.guidelines.map(line => `- ${line}`).join('\n')}
 
 PRODUCT CONTEXT:
 ${productInfo}
@@ -1017,7 +4146,7 @@ ${productInfo}
 CURRENT ${field.toUpperCase()}:
 ${currentValue}
 
-Generate a NEW, DIFFERENT ${fieldDescriptions[field] || field}. Make it better than the current one.
+Generate a NEW, DIFFERENT ${description}. Make it better than the current one.
 
 ${field === 'bullets' || field === 'detailsBullets' ? 
     'Return as a JSON array of strings, e.g., ["Point 1", "Point 2", "Point 3"]' : 
@@ -1258,6 +4387,7 @@ Important: Generate a photorealistic product image. The product should look exac
             
             if (imagenData.predictions?.[0]?.bytesBase64Encoded) {
                 const imageBase64 = `data:image/png;base64,${imagenData.predictions[0].bytesBase64Encoded}`;
+                emitWebhookEvent(req.workspace.id, 'ai.generation_finished', { kind: 'image', prompt, user: { id: req.user.id, email: req.user.email } });
                 return res.json({ success: true, image: imageBase64 });
             }
             
@@ -1274,6 +4404,7 @@ Important: Generate a photorealistic product image. The product should look exac
         if (imagePart?.inlineData) {
             console.log('Image found in response');
             const imageBase64 = `data:${imagePart.inlineData.mimeType || 'image/png'};base64,${imagePart.inlineData.data}`;
+            emitWebhookEvent(req.workspace.id, 'ai.generation_finished', { kind: 'image', prompt, user: { id: req.user.id, email: req.user.email } });
             return res.json({ success: true, image: imageBase64 });
         }
         
@@ -1296,14 +4427,49 @@ Important: Generate a photorealistic product image. The product should look exac
 // ============ PUBLIC VIEWER ROUTE ============
 
 // Viewer page - PUBLIC (clients can view mockups)
-app.get('/mockup/:id', (req, res) => {
+app.get(['/mockup/:id', '/s/:token'], (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'viewer.html'));
 });
 
+// Create the first login from ADMIN_EMAIL/ADMIN_PASSWORD so a fresh local
+// database is usable without editing it by hand
+async function seedAdminUser() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) return;
+
+    const existing = await storage.findOne('users', { email: email.toLowerCase() });
+    if (existing) return;
+
+    await storage.insert('users', {
+        id: crypto.randomUUID(),
+        email: email.toLowerCase(),
+        password_hash: await hashPassword(password),
+        role: 'admin',
+        active: true
+    });
+    console.log(`Created admin user ${email.toLowerCase()}`);
+}
+
 // Start server
+seedAdminUser().catch(err => console.error('Error seeding admin user:', err));
+subscribeExistingOwners().catch(err => console.error('Error subscribing mockup owners:', err));
+setInterval(() => {
+    sendDailyDigests().catch(err => console.error('Error sending daily digests:', err));
+    retryInstantNotifications().catch(err => console.error('Error retrying notifications:', err));
+}, DIGEST_CHECK_MS);
+setInterval(() => {
+    recheckAllStreams().catch(err => console.error('Error rechecking live updates:', err));
+}, STREAM_RECHECK_MS);
+setInterval(() => {
+    retryWebhookDeliveries().catch(err => console.error('Error retrying webhooks:', err));
+}, WEBHOOK_RETRY_CHECK_MS);
+
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
-    console.log('Connected to Supabase');
+    console.log(`Storage: ${storage.name}`);
+    console.log(`Mail: ${mailer.name}`);
+    console.log(`Notifications: ${notifier.name}`);
     console.log('Authentication enabled');
     console.log(`Gemini AI: ${GEMINI_API_KEY ? 'enabled' : 'not configured'}`);
 });
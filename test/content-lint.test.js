@@ -0,0 +1,250 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lintListing, resolveLintRules, describeLintRules, parseLintRules } = require('../lib/content-lint');
+
+// Passes every rule with the default settings
+const clean = {
+    brand: 'Bee Farm',
+    title: 'Bee Farm Raw Wildflower Honey, Unfiltered and Unpasteurized, 16 oz',
+    price: '7.97',
+    packSize: '16 oz',
+    ingredients: 'Raw honey',
+    bullets: [
+        'Raw honey straight from the hive',
+        'Unfiltered to keep the natural pollen',
+        'Harvested from local wildflowers',
+        'Packed in a recyclable glass jar'
+    ],
+    detailsBullets: ['Net weight: 16 oz'],
+    fullDescription: 'Our honey is raw and unfiltered. It tastes of the wildflowers it came from.'
+};
+
+// "rule field index" for each issue, e.g. "emoji bullets 2"
+function found(data, overrides) {
+    return lintListing(data, overrides).issues.map(issue => `${issue.rule} ${issue.field} ${issue.index}`);
+}
+
+describe('lintListing rules', () => {
+    it('passes a clean listing', () => {
+        assert.deepEqual(lintListing(clean), { score: 100, errors: 0, warnings: 0, issues: [] });
+    });
+
+    const cases = [
+        // titleLength
+        ['a missing title', { title: '' }, ['titleLength title null']],
+        ['a short title', { title: 'Bee Farm Honey' }, ['titleLength title null']],
+        ['a long title', { title: 'Bee Farm Raw Wildflower Honey '.repeat(3) }, ['titleLength title null']],
+        ['a title at the limits', { title: 'x'.repeat(50) }, []],
+        // bulletCount
+        ['too few bullets', { bullets: clean.bullets.slice(0, 3) }, ['bulletCount bullets null']],
+        ['too many bullets', { bullets: Array.from({ length: 11 }, (_, i) => `Key feature number ${i + 1}`) }, ['bulletCount bullets null']],
+        ['blank bullets, which do not count', { bullets: [...clean.bullets.slice(0, 3), '  ', ''] }, ['bulletCount bullets null']],
+        // bulletLength
+        ['a short bullet', { bullets: [...clean.bullets, 'Sweet'] }, ['bulletLength bullets 4']],
+        ['a long bullet', { bullets: [...clean.bullets, 'Sweet '.repeat(30)] }, ['bulletLength bullets 4']],
+        // descriptionLength
+        ['a missing description', { fullDescription: ' ' }, ['descriptionLength fullDescription null']],
+        ['a one-sentence description', { fullDescription: 'Our honey is raw.' }, ['descriptionLength fullDescription null']],
+        ['a long description', { fullDescription: 'One. Two. Three. Four.' }, ['descriptionLength fullDescription null']],
+        // prohibitedWords
+        ['a prohibited word', { title: `${clean.title} on Sale` }, ['prohibitedWords title null']],
+        ['a prohibited phrase in a bullet', { bullets: [...clean.bullets, 'Free shipping on every jar'] }, ['prohibitedWords bullets 4']],
+        ['a prohibited claim in the details', { detailsBullets: ['FDA approved facility'] }, ['prohibitedWords detailsBullets 0']],
+        ['prohibited words as whole words only', { fullDescription: 'Wholesale honey for everyone. It cures nothing else.' }, ['prohibitedWords fullDescription null']],
+        // allCaps
+        ['ALL CAPS in the title', { title: 'Bee Farm RAW WILDFLOWER Honey, Unfiltered and Unpasteurized 16 oz' }, ['allCaps title null']],
+        ['ALL CAPS in a bullet', { bullets: [...clean.bullets, 'AMAZING taste in every spoonful'] }, ['allCaps bullets 4']],
+        ['allowed acronyms', { bullets: [...clean.bullets.slice(0, 3), 'USDA organic, NON-GMO and BPA-FREE jar'] }, []],
+        ['capitals shorter than four letters', { bullets: [...clean.bullets.slice(0, 3), 'Raw honey in a big jar, 16 OZ'] }, []],
+        // emoji
+        ['emoji in the title', { title: `${clean.title} 🍯` }, ['emoji title null']],
+        ['emoji in the brand', { brand: 'Bee Farm 🐝' }, ['emoji brand null']],
+        ['emoji in a details bullet', { detailsBullets: ['Net weight: 16 oz ✨'] }, ['emoji detailsBullets 0']],
+        // packSize
+        ['a missing pack size', { packSize: '' }, ['packSize packSize null']],
+        // priceFormat
+        ['a missing price', { price: '' }, ['priceFormat price null']],
+        ['a price with a currency sign', { price: '$7.97' }, ['priceFormat price null']],
+        ['a price with one decimal', { price: '7.9' }, ['priceFormat price null']],
+        ['a zero price', { price: '0.00' }, ['priceFormat price null']],
+        ['a whole-number price', { price: '8' }, []],
+        // duplicateBullets
+        ['a repeated bullet', { bullets: [...clean.bullets, 'raw honey, straight from the hive!'] }, ['duplicateBullets bullets 4']],
+        ['a bullet repeated in the details', { detailsBullets: ['Harvested from local wildflowers'] }, ['duplicateBullets detailsBullets 0']]
+    ];
+    for (const [name, patch, expected] of cases) {
+        it(`reports ${name}`, () => {
+            assert.deepEqual(found({ ...clean, ...patch }), expected);
+        });
+    }
+
+    it('reports every rule a field breaks', () => {
+        assert.deepEqual(found({ ...clean, bullets: [...clean.bullets, 'sale 🍯'] }), [
+            'bulletLength bullets 4',
+            'prohibitedWords bullets 4',
+            'emoji bullets 4'
+        ]);
+    });
+
+    it('handles missing data', () => {
+        assert.deepEqual(found(null), [
+            'titleLength title null',
+            'bulletCount bullets null',
+            'descriptionLength fullDescription null',
+            'packSize packSize null',
+            'priceFormat price null'
+        ]);
+    });
+});
+
+describe('lintListing settings', () => {
+    it('skips disabled rules', () => {
+        assert.deepEqual(found({ ...clean, packSize: '' }, { packSize: { enabled: false } }), []);
+    });
+
+    it('uses the configured severity', () => {
+        const lint = lintListing({ ...clean, packSize: '' }, { packSize: { severity: 'error' } });
+        assert.deepEqual(lint.issues.map(issue => issue.severity), ['error']);
+    });
+
+    it('uses configured limits and word lists', () => {
+        assert.deepEqual(found(clean, { titleLength: { max: 60 } }), ['titleLength title null']);
+        assert.deepEqual(found({ ...clean, title: `${clean.title} bargain` }, { prohibitedWords: { words: ['bargain'] } }), ['prohibitedWords title null']);
+        assert.deepEqual(found({ ...clean, fullDescription: `${clean.fullDescription} Best price.` }, { prohibitedWords: { words: ['bargain'] } }), []);
+        assert.deepEqual(found({ ...clean, title: `${clean.title} HONEY` }, { allCaps: { allowed: ['HONEY'] } }), []);
+    });
+});
+
+describe('lintListing score', () => {
+    const cases = [
+        ['no issues', {}, 100, 0, 0],
+        ['one warning', { packSize: '' }, 95, 0, 1],
+        ['one error', { price: '' }, 85, 1, 0],
+        ['an error and two warnings', { price: 'free', packSize: '', title: 'Short' }, 75, 1, 2],
+        ['three errors', { price: '', title: `${clean.title} 🍯 sale`, bullets: clean.bullets }, 55, 3, 0]
+    ];
+    for (const [name, patch, score, errors, warnings] of cases) {
+        it(`is 100 - 15 per error - 5 per warning with ${name}`, () => {
+            const lint = lintListing({ ...clean, ...patch });
+            assert.deepEqual({ score: lint.score, errors: lint.errors, warnings: lint.warnings }, { score, errors, warnings });
+            assert.equal(lint.score, 100 - 15 * errors - 5 * warnings);
+        });
+    }
+
+    it('never goes below zero', () => {
+        const bullets = Array.from({ length: 8 }, (_, i) => `Sale 🍯 ${i}`);
+        const lint = lintListing({ title: '🍯', price: 'x', bullets, detailsBullets: bullets });
+        assert.ok(lint.errors * 15 + lint.warnings * 5 > 100);
+        assert.equal(lint.score, 0);
+    });
+});
+
+describe('parseLintRules', () => {
+    it('keeps only what differs from the defaults', () => {
+        const result = parseLintRules({
+            titleLength: { enabled: true, severity: 'warning', min: '40', max: 75 },
+            emoji: { severity: 'warning' },
+            packSize: { enabled: false },
+            priceFormat: {}
+        });
+        assert.deepEqual(result, {
+            overrides: {
+                titleLength: { min: 40 },
+                emoji: { severity: 'warning' },
+                packSize: { enabled: false }
+            }
+        });
+    });
+
+    it('accepts word lists as arrays or text, trimmed and without duplicates', () => {
+        assert.deepEqual(parseLintRules({ prohibitedWords: { words: 'sale,\n bargain , sale,,' } }),
+            { overrides: { prohibitedWords: { words: ['sale', 'bargain'] } } });
+        assert.deepEqual(parseLintRules({ allCaps: { allowed: ['USB', ' USB ', 'NASA'] } }),
+            { overrides: { allCaps: { allowed: ['USB', 'NASA'] } } });
+    });
+
+    it('ignores options a rule does not have', () => {
+        assert.deepEqual(parseLintRules({ emoji: { max: 3, words: ['x'] } }), { overrides: {} });
+    });
+
+    const invalid = [
+        ['something other than an object', ['titleLength'], /must be an object/],
+        ['null', null, /must be an object/],
+        ['an unknown rule', { spelling: {} }, /Unknown rule: spelling/],
+        ['an unknown severity', { emoji: { severity: 'fatal' } }, /severity must be one of error, warning/],
+        ['a negative limit', { titleLength: { min: -1 } }, /min must be a whole number/],
+        ['a fractional limit', { bulletCount: { max: 2.5 } }, /max must be a whole number/],
+        ['a limit that is not a number', { bulletLength: { max: 'lots' } }, /max must be a whole number/],
+        ['a huge limit', { titleLength: { max: 10001 } }, /max must be a whole number/],
+        ['min over max', { titleLength: { min: 80 } }, /min can't be more than max/],
+        ['min over a new max', { bulletCount: { min: 5, max: 4 } }, /min can't be more than max/],
+        ['too many words', { prohibitedWords: { words: Array.from({ length: 201 }, (_, i) => `word${i}`) } }, /at most 200 entries/],
+        ['a word that is too long', { allCaps: { allowed: ['X'.repeat(61)] } }, /up to 60 characters/]
+    ];
+    for (const [name, input, error] of invalid) {
+        it(`rejects ${name}`, () => {
+            const result = parseLintRules(input);
+            assert.equal(result.overrides, undefined);
+            assert.match(result.error, error);
+        });
+    }
+});
+
+describe('resolveLintRules and describeLintRules', () => {
+    it('starts every rule enabled with its default severity', () => {
+        const rules = resolveLintRules();
+        assert.deepEqual(rules.titleLength, { enabled: true, severity: 'warning', min: 50, max: 75 });
+        assert.equal(rules.emoji.severity, 'error');
+        assert.equal(rules.prohibitedWords.severity, 'error');
+        assert.equal(rules.priceFormat.severity, 'error');
+    });
+
+    it('lays overrides over the defaults', () => {
+        assert.deepEqual(resolveLintRules({ titleLength: { max: 90 } }).titleLength, { enabled: true, severity: 'warning', min: 50, max: 90 });
+    });
+
+    it('describes every rule with its options and settings', () => {
+        const described = describeLintRules({ packSize: { enabled: false } });
+        assert.deepEqual(described.map(rule => rule.id), Object.keys(resolveLintRules()));
+        const packSize = described.find(rule => rule.id === 'packSize');
+        assert.equal(packSize.enabled, false);
+        assert.deepEqual(described.find(rule => rule.id === 'bulletLength').options, ['min', 'max']);
+    });
+});
+
+describe('retailer limits', () => {
+    const sixBullets = [...clean.bullets, 'Pairs well with tea and toast', 'Crystallizes naturally over time'];
+    const longTitle = `${clean.title} in a Glass Jar`;
+
+    const cases = [
+        ['Walmart when no retailer is set', {}, ['titleLength title null']],
+        ['Walmart', { retailer: 'walmart' }, ['titleLength title null']],
+        ['an unknown retailer as Walmart', { retailer: 'ebay' }, ['titleLength title null']],
+        ['Amazon, which allows longer titles but fewer bullets', { retailer: 'amazon' }, ['bulletCount bullets null']],
+        ['Target', { retailer: 'target' }, []],
+        ['the generic template', { retailer: 'generic' }, ['titleLength title null']]
+    ];
+    for (const [name, patch, expected] of cases) {
+        it(`checks ${name}`, () => {
+            assert.deepEqual(found({ ...clean, title: longTitle, bullets: sixBullets, ...patch }), expected);
+        });
+    }
+
+    it('uses the retailer limit in the message', () => {
+        const [issue] = lintListing({ ...clean, title: 'x'.repeat(130), retailer: 'target' }).issues;
+        assert.equal(issue.message, 'Title is 130 characters; keep it to 120');
+    });
+
+    it('lets workspace overrides win over the retailer', () => {
+        assert.deepEqual(found({ ...clean, title: longTitle, retailer: 'amazon' }, { titleLength: { max: 80 } }), ['titleLength title null']);
+        assert.deepEqual(found({ ...clean, bullets: sixBullets, retailer: 'amazon' }, { bulletCount: { max: 6 } }), []);
+    });
+
+    it('resolves the retailer limits under the defaults', () => {
+        const rules = resolveLintRules({}, 'amazon');
+        assert.deepEqual(rules.titleLength, { enabled: true, severity: 'warning', min: 50, max: 200 });
+        assert.equal(rules.bulletCount.max, 5);
+        assert.equal(rules.bulletLength.max, 255);
+    });
+});
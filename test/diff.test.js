@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffText, diffList, diffImages, diffMockupData, MAX_DIFF_TOKENS } = require('../lib/diff');
+
+// Rebuilds each side from the segments
+function sides(segments) {
+    return {
+        before: segments.filter(s => s.type !== 'insert').map(s => s.text).join(''),
+        after: segments.filter(s => s.type !== 'delete').map(s => s.text).join('')
+    };
+}
+
+describe('diffText', () => {
+    const cases = [
+        ['identical text', 'Raw honey', 'Raw honey', [
+            { type: 'equal', text: 'Raw honey' }
+        ]],
+        ['a replaced word', 'the quick brown fox', 'the slow brown fox', [
+            { type: 'equal', text: 'the ' },
+            { type: 'delete', text: 'quick' },
+            { type: 'insert', text: 'slow' },
+            { type: 'equal', text: ' brown fox' }
+        ]],
+        ['an added word', 'Raw honey', 'Raw wildflower honey', [
+            { type: 'equal', text: 'Raw ' },
+            { type: 'insert', text: 'wildflower ' },
+            { type: 'equal', text: 'honey' }
+        ]],
+        ['a removed ending', 'Raw honey, 16 oz', 'Raw honey,', [
+            { type: 'equal', text: 'Raw honey,' },
+            { type: 'delete', text: ' 16 oz' }
+        ]],
+        ['text that was empty', '', 'New', [
+            { type: 'insert', text: 'New' }
+        ]],
+        ['a missing value', undefined, null, []]
+    ];
+    for (const [name, before, after, expected] of cases) {
+        it(`diffs ${name}`, () => {
+            assert.deepEqual(diffText(before, after), expected);
+        });
+    }
+
+    it('keeps whitespace so both sides can be rebuilt', () => {
+        const before = 'One  two\nthree four';
+        const after = 'One two\n\nthree  five';
+        assert.deepEqual(sides(diffText(before, after)), { before, after });
+    });
+
+    it('replaces the whole middle once it is past the token limit', () => {
+        const words = prefix => Array.from({ length: MAX_DIFF_TOKENS }, (_, i) => `${prefix}${i}`).join(' ');
+        const before = `Start ${words('a')} end`;
+        const after = `Start ${words('b')} end`;
+        const segments = diffText(before, after);
+        assert.deepEqual(segments.map(s => s.type), ['equal', 'delete', 'insert', 'equal']);
+        assert.equal(segments[0].text, 'Start ');
+        assert.equal(segments[3].text, ' end');
+        assert.deepEqual(sides(segments), { before, after });
+    });
+});
+
+describe('diffList', () => {
+    const cases = [
+        ['an unchanged list', ['A', 'B'], ['A', 'B'], [
+            { type: 'equal', text: 'A' },
+            { type: 'equal', text: 'B' }
+        ]],
+        ['an added item', ['A', 'C'], ['A', 'B', 'C'], [
+            { type: 'equal', text: 'A' },
+            { type: 'insert', text: 'B' },
+            { type: 'equal', text: 'C' }
+        ]],
+        ['a removed item', ['A', 'B', 'C'], ['A', 'C'], [
+            { type: 'equal', text: 'A' },
+            { type: 'delete', text: 'B' },
+            { type: 'equal', text: 'C' }
+        ]],
+        ['an edited item, paired with its replacement', ['A', 'Raw honey', 'C'], ['A', 'Raw clover honey', 'C'], [
+            { type: 'equal', text: 'A' },
+            { type: 'changed', segments: [
+                { type: 'equal', text: 'Raw ' },
+                { type: 'insert', text: 'clover ' },
+                { type: 'equal', text: 'honey' }
+            ] },
+            { type: 'equal', text: 'C' }
+        ]],
+        ['more removed than added items, paired in order', ['A', 'one x', 'two x', 'Z'], ['A', 'one y', 'Z'], [
+            { type: 'equal', text: 'A' },
+            { type: 'changed', segments: [
+                { type: 'equal', text: 'one ' },
+                { type: 'delete', text: 'x' },
+                { type: 'insert', text: 'y' }
+            ] },
+            { type: 'delete', text: 'two x' },
+            { type: 'equal', text: 'Z' }
+        ]],
+        ['more added than removed items', ['old'], ['new 1', 'new 2'], [
+            { type: 'changed', segments: [
+                { type: 'delete', text: 'old' },
+                { type: 'insert', text: 'new 1' }
+            ] },
+            { type: 'insert', text: 'new 2' }
+        ]],
+        ['blank items and a missing list', ['  A ', '', null], undefined, [
+            { type: 'delete', text: 'A' }
+        ]]
+    ];
+    for (const [name, before, after, expected] of cases) {
+        it(`diffs ${name}`, () => {
+            assert.deepEqual(diffList(before, after), expected);
+        });
+    }
+});
+
+describe('diffImages', () => {
+    it('reports unchanged, moved, added and removed images', () => {
+        assert.deepEqual(diffImages(['a', 'b', 'c', 'd'], ['a', 'c', 'b', 'e']), [
+            { type: 'unchanged', ref: 'a', beforeIndex: 0, afterIndex: 0 },
+            { type: 'moved', ref: 'c', beforeIndex: 2, afterIndex: 1 },
+            { type: 'moved', ref: 'b', beforeIndex: 1, afterIndex: 2 },
+            { type: 'added', ref: 'e', beforeIndex: null, afterIndex: 3 },
+            { type: 'removed', ref: 'd', beforeIndex: 3, afterIndex: null }
+        ]);
+    });
+
+    it('treats a missing list as empty', () => {
+        assert.deepEqual(diffImages(undefined, ['a']), [{ type: 'added', ref: 'a', beforeIndex: null, afterIndex: 0 }]);
+        assert.deepEqual(diffImages(['a'], null), [{ type: 'removed', ref: 'a', beforeIndex: 0, afterIndex: null }]);
+    });
+});
+
+describe('diffMockupData', () => {
+    it('counts each changed field and image list once', () => {
+        const diff = diffMockupData(
+            { title: 'Honey', bullets: ['A'], images: ['a'], brandImages: ['x'] },
+            { title: 'Raw honey', bullets: ['A', 'B'], images: ['b'], brandImages: ['x'] }
+        );
+        assert.deepEqual(diff.fields.filter(f => f.changed).map(f => f.field), ['title', 'bullets']);
+        assert.equal(diff.changedCount, 3);
+    });
+
+    it('reads a missing retailer as Walmart', () => {
+        const diff = diffMockupData({}, { retailer: 'walmart' });
+        assert.equal(diff.fields.find(f => f.field === 'retailer').changed, false);
+        assert.equal(diff.changedCount, 0);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { feedbackToCsv, feedbackToHtml } = require('../lib/feedback-export');
+const { parseCsv } = require('../lib/product-import');
+const { escapeHtml } = require('../lib/html');
+
+function comment(fields = {}) {
+    return {
+        id: 'c1',
+        author: 'Ann',
+        status: 'open',
+        priority: 'normal',
+        category: null,
+        assignee: null,
+        comment: 'Looks good',
+        replies: [],
+        imageIndex: null,
+        imageRegion: null,
+        carriedFromVersion: null,
+        createdAt: '2026-01-02T03:04:05.000Z',
+        updatedAt: '2026-01-02T03:04:05.000Z',
+        ...fields
+    };
+}
+
+function report(comments, title = 'Honey') {
+    return feedbackToHtml({
+        title,
+        exportedAt: '2026-01-03T00:00:00.000Z',
+        versions: [{ versionNumber: 2, archived: false, comments }]
+    });
+}
+
+describe('escapeHtml', () => {
+    const cases = [
+        ['markup', '<b>hi</b>', '&lt;b&gt;hi&lt;/b&gt;'],
+        ['ampersands', 'Salt & pepper', 'Salt &amp; pepper'],
+        ['quotes', `"double" 'single'`, '&quot;double&quot; &#39;single&#39;'],
+        ['an entity that is already escaped', '&amp;', '&amp;amp;'],
+        ['null', null, ''],
+        ['a number', 12, '12']
+    ];
+    for (const [name, input, expected] of cases) {
+        it(`escapes ${name}`, () => {
+            assert.equal(escapeHtml(input), expected);
+        });
+    }
+});
+
+describe('feedbackToHtml', () => {
+    const script = '<script>alert(1)</script>';
+
+    const unsafe = [
+        ['comment text', { comment: `Fix this ${script}` }],
+        ['the author name', { author: `<img src=x onerror=alert(1)>` }],
+        ['a reply author', { replies: [{ author: script, body: 'ok', createdAt: null }] }],
+        ['a reply body', { replies: [{ author: 'Bob', body: script, createdAt: null }] }],
+        ['the category', { category: script }],
+        ['the assignee name', { assignee: { name: script } }],
+        ['an unknown status', { status: script }]
+    ];
+    for (const [name, fields] of unsafe) {
+        it(`escapes ${name}`, () => {
+            const html = report([comment(fields)]);
+            assert.doesNotMatch(html, /<script>alert|<img src=x/);
+            assert.match(html, /&lt;(script|img)/);
+        });
+    }
+
+    it('escapes the title in the heading and the page title', () => {
+        const html = report([], `Tom & Jerry's <Honey>`);
+        assert.match(html, /<title>Feedback report - Tom &amp; Jerry&#39;s &lt;Honey&gt;<\/title>/);
+        assert.match(html, /<h1>Tom &amp; Jerry&#39;s &lt;Honey&gt;<\/h1>/);
+    });
+
+    it('keeps a quote in the status from closing its class attribute', () => {
+        const html = report([comment({ status: 'x" onmouseover="alert(1)' })]);
+        assert.doesNotMatch(html, /" onmouseover="/);
+    });
+
+    it('shows Anonymous for comments without an author', () => {
+        assert.match(report([comment({ author: '' })]), /<strong>Anonymous<\/strong>/);
+    });
+
+    it('numbers comments and says when a version has none', () => {
+        const html = report([comment(), comment({ id: 'c2' })]);
+        assert.match(html, /Version 2 \(current\) · 2 comments/);
+        assert.match(html, /#2/);
+        assert.match(report([]), /No feedback on this version/);
+    });
+});
+
+describe('feedbackToCsv', () => {
+    it('writes one row per comment with its replies joined', () => {
+        const rows = parseCsv(feedbackToCsv([{
+            versionNumber: 3,
+            comments: [comment({
+                status: 'wont_fix',
+                imageIndex: 0,
+                imageRegion: { x: 10.04, y: 20, width: 5.55, height: 1 },
+                replies: [{ author: 'Bob', body: 'Agreed' }, { author: 'Ann', body: 'Thanks' }]
+            })]
+        }]));
+        const byHeader = Object.fromEntries(rows[0].map((header, index) => [header, rows[1][index]]));
+        assert.equal(rows.length, 2);
+        assert.equal(byHeader.Version, '3');
+        assert.equal(byHeader.Status, "Won't fix");
+        assert.equal(byHeader.Image, '1');
+        assert.equal(byHeader['Region (x, y, width, height %)'], '10, 20, 5.6, 1');
+        assert.equal(byHeader.Replies, 'Bob: Agreed\nAnn: Thanks');
+    });
+});
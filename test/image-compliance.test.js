@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkImageCompliance, worstStatus } = require('../lib/image-compliance');
+
+const MB = 1024 * 1024;
+
+// Passes every check, including the main-image ones
+const good = {
+    mimeType: 'image/jpeg',
+    size: 2 * MB,
+    width: 2000,
+    height: 2000,
+    hasAlpha: false,
+    whiteBorder: 100
+};
+
+// "check status" for each check that isn't a pass, e.g. "dimensions warn"
+function found(overrides, options) {
+    return checkImageCompliance({ ...good, ...overrides }, options).checks
+        .filter(c => c.status !== 'pass')
+        .map(c => `${c.check} ${c.status}`);
+}
+
+describe('checkImageCompliance', () => {
+    it('passes a good main image', () => {
+        const result = checkImageCompliance(good, { main: true });
+        assert.equal(result.status, 'pass');
+        assert.deepEqual(result.checks.map(c => c.check), ['dimensions', 'aspectRatio', 'fileSize', 'format', 'background']);
+    });
+
+    const cases = [
+        // dimensions
+        ['1500px, big enough for zoom', { width: 1500, height: 1500 }, {}, []],
+        ['1499px, too small for zoom', { width: 1499, height: 1499 }, {}, ['dimensions warn']],
+        ['1000px, the smallest allowed', { width: 1000, height: 1000 }, {}, ['dimensions warn']],
+        ['999px, too small', { width: 999, height: 999 }, {}, ['dimensions fail']],
+        ['a short edge under the limit', { width: 3000, height: 900 }, {}, ['dimensions fail', 'aspectRatio warn']],
+        // aspectRatio
+        ['within 1% of square', { width: 2020, height: 2000 }, { main: true }, []],
+        ['just over 1% off square', { width: 2030, height: 2000 }, { main: true }, ['aspectRatio warn']],
+        ['5% off square on the main image', { width: 2100, height: 2000 }, { main: true }, ['aspectRatio warn']],
+        ['over 5% off square on the main image', { width: 2110, height: 2000 }, { main: true }, ['aspectRatio fail']],
+        ['far off square on another image', { width: 4000, height: 2000 }, {}, ['aspectRatio warn']],
+        ['portrait off square on the main image', { width: 2000, height: 2200 }, { main: true }, ['aspectRatio fail']],
+        // fileSize
+        ['exactly 5MB', { size: 5 * MB }, {}, []],
+        ['one byte over 5MB', { size: 5 * MB + 1 }, {}, ['fileSize fail']],
+        // format
+        ['a PNG', { mimeType: 'image/png' }, {}, []],
+        ['a WebP', { mimeType: 'image/webp' }, {}, ['format fail']],
+        ['a GIF', { mimeType: 'image/gif' }, {}, ['format fail']],
+        // background
+        ['95% white edges', { whiteBorder: 95 }, { main: true }, []],
+        ['94% white edges', { whiteBorder: 94 }, { main: true }, ['background warn']],
+        ['75% white edges', { whiteBorder: 75 }, { main: true }, ['background warn']],
+        ['74% white edges', { whiteBorder: 74 }, { main: true }, ['background fail']],
+        ['a dark background on another image', { whiteBorder: 0 }, {}, []],
+        // transparency
+        ['transparency on the main image', { mimeType: 'image/png', hasAlpha: true }, { main: true }, ['transparency warn']],
+        ['transparency on another image', { mimeType: 'image/png', hasAlpha: true }, {}, []]
+    ];
+    for (const [name, overrides, options, expected] of cases) {
+        it(`checks ${name}`, () => {
+            assert.deepEqual(found(overrides, options), expected);
+        });
+    }
+
+    const statuses = [
+        ['a warning', { width: 1200, height: 1200 }, 'warn'],
+        ['a failure', { size: 6 * MB }, 'fail'],
+        ['a warning and a failure', { width: 1200, height: 1200, mimeType: 'image/webp' }, 'fail']
+    ];
+    for (const [name, overrides, expected] of statuses) {
+        it(`takes the worst status with ${name}`, () => {
+            assert.equal(checkImageCompliance({ ...good, ...overrides }).status, expected);
+        });
+    }
+
+    it('explains each problem', () => {
+        const { checks } = checkImageCompliance({ ...good, width: 1200, height: 1000, size: 6.5 * MB, mimeType: 'image/webp', whiteBorder: 80 }, { main: true });
+        assert.deepEqual(Object.fromEntries(checks.map(c => [c.check, c.message])), {
+            dimensions: '1200×1000px is too small for zoom; use at least 1500px per side',
+            aspectRatio: 'Not square (1.20:1); Walmart shows images at 1:1',
+            fileSize: '6.5MB is over the 5.0MB limit',
+            format: "WEBP isn't accepted; use JPEG or PNG",
+            background: 'Only 80% of the edges are white; the main image needs a white background'
+        });
+    });
+});
+
+describe('worstStatus', () => {
+    const cases = [
+        [[], 'pass'],
+        [['pass', 'pass'], 'pass'],
+        [['pass', 'warn'], 'warn'],
+        [['fail', 'warn', 'pass'], 'fail']
+    ];
+    for (const [statuses, expected] of cases) {
+        it(`is ${expected} for [${statuses.join(', ')}]`, () => {
+            assert.equal(worstStatus(statuses), expected);
+        });
+    }
+});
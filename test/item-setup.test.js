@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_ITEM_SETUP_COLUMNS,
+    parseItemSetupColumns,
+    itemSetupValues,
+    itemSetupRows
+} = require('../lib/item-setup');
+
+const data = {
+    title: '  Raw Wildflower Honey, 16 oz  ',
+    brand: 'Bee Farm',
+    fullDescription: 'Unfiltered honey.',
+    bullets: ['Raw', '', '  Unfiltered ', null, 'Local'],
+    detailsBullets: ['Glass jar'],
+    price: '7.97',
+    packSize: '16 oz',
+    images: ['asset:one', 'https://example.com/two.jpg', 'asset:missing']
+};
+
+function imageUrl(reference) {
+    if (reference === 'asset:missing') return null;
+    return reference.startsWith('asset:') ? `https://cdn.example.com/${reference.slice(6)}.jpg` : reference;
+}
+
+describe('itemSetupValues', () => {
+    it('cleans lists and turns images into URLs', () => {
+        const values = itemSetupValues({ mockupId: 'm1', versionNumber: 3, data, imageUrl });
+        assert.deepEqual(values.bullets, ['Raw', 'Unfiltered', 'Local']);
+        assert.deepEqual(values.imageUrls, ['https://cdn.example.com/one.jpg', 'https://example.com/two.jpg']);
+        assert.equal(values.mainImageUrl, 'https://cdn.example.com/one.jpg');
+        assert.equal(values.mockupId, 'm1');
+        assert.equal(values.versionNumber, 3);
+    });
+
+    it('copes with missing content', () => {
+        const values = itemSetupValues({ mockupId: 'm1', versionNumber: 1, imageUrl });
+        assert.deepEqual(values.bullets, []);
+        assert.equal(values.mainImageUrl, '');
+    });
+});
+
+describe('itemSetupRows', () => {
+    const values = itemSetupValues({ mockupId: 'm1', versionNumber: 3, data, imageUrl });
+
+    it('writes the header row and one row per mockup', () => {
+        const rows = itemSetupRows(DEFAULT_ITEM_SETUP_COLUMNS, [values, values]);
+        assert.equal(rows.length, 3);
+        assert.deepEqual(rows[0], DEFAULT_ITEM_SETUP_COLUMNS.map(column => column.header));
+    });
+
+    it('maps the default columns', () => {
+        const [header, row] = itemSetupRows(DEFAULT_ITEM_SETUP_COLUMNS, [values]);
+        const byHeader = Object.fromEntries(header.map((name, index) => [name, row[index]]));
+        assert.deepEqual(byHeader, {
+            'Product Name': 'Raw Wildflower Honey, 16 oz',
+            'Brand Name': 'Bee Farm',
+            'Site Description': 'Unfiltered honey.',
+            'Key Features 1': 'Raw',
+            'Key Features 2': 'Unfiltered',
+            'Key Features 3': 'Local',
+            'Key Features 4': '',
+            'Key Features 5': '',
+            'Price': '7.97',
+            'Count Per Pack / Size': '16 oz',
+            'Ingredients': '',
+            'Main Image URL': 'https://cdn.example.com/one.jpg'
+        });
+    });
+
+    const cells = [
+        ['one list item', { header: 'h', field: 'bullets', item: 2 }, 'Unfiltered'],
+        ['a list item past the end', { header: 'h', field: 'detailsBullets', item: 2 }, ''],
+        ['a whole list on separate lines', { header: 'h', field: 'bullets' }, 'Raw\nUnfiltered\nLocal'],
+        ['a whole list with a separator', { header: 'h', field: 'imageUrls', separator: ', ' }, 'https://cdn.example.com/one.jpg, https://example.com/two.jpg'],
+        ['fixed text', { header: 'h', field: 'constant', value: 'Honey' }, 'Honey'],
+        ['fixed text without a value', { header: 'h', field: 'constant' }, ''],
+        ['a number', { header: 'h', field: 'versionNumber' }, '3'],
+        ['an empty field', { header: 'h', field: 'ingredients' }, '']
+    ];
+    for (const [name, column, expected] of cells) {
+        it(`writes ${name}`, () => {
+            assert.deepEqual(itemSetupRows([column], [values])[1], [expected]);
+        });
+    }
+});
+
+describe('parseItemSetupColumns', () => {
+    it('accepts the default columns unchanged', () => {
+        assert.deepEqual(parseItemSetupColumns(DEFAULT_ITEM_SETUP_COLUMNS), { columns: DEFAULT_ITEM_SETUP_COLUMNS });
+    });
+
+    it('keeps only the settings that apply to each field', () => {
+        const { columns } = parseItemSetupColumns([
+            { header: '  Name ', field: 'title', item: 2, value: 'x' },
+            { header: 'Feature', field: 'bullets', item: '3', separator: ';' },
+            { header: 'Features', field: 'bullets', item: '', separator: '; ' },
+            { header: 'Type', field: 'constant', value: 'Honey', item: 1 },
+            { header: 'Long', field: 'constant', value: 'x'.repeat(600) }
+        ]);
+        assert.deepEqual(columns.slice(0, 4), [
+            { header: 'Name', field: 'title' },
+            { header: 'Feature', field: 'bullets', item: 3 },
+            { header: 'Features', field: 'bullets', separator: '; ' },
+            { header: 'Type', field: 'constant', value: 'Honey' }
+        ]);
+        assert.equal(columns[4].value.length, 500);
+    });
+
+    const invalid = [
+        ['no columns', [], /at least one column/],
+        ['something other than a list', { header: 'h', field: 'title' }, /at least one column/],
+        ['too many columns', Array.from({ length: 101 }, () => ({ header: 'h', field: 'title' })), /at most 100 columns/],
+        ['a blank header', [{ header: '  ', field: 'title' }], /Column 1 needs a header/],
+        ['a header that is too long', [{ header: 'h'.repeat(101), field: 'title' }], /Column 1 needs a header/],
+        ['an unknown field', [{ header: 'h', field: 'title' }, { header: 'h', field: 'colour' }], /Column 2 has an unknown field/],
+        ['an inherited property as the field', [{ header: 'h', field: 'toString' }], /unknown field/],
+        ['an item of zero', [{ header: 'h', field: 'bullets', item: 0 }], /item must be a number from 1 to 50/],
+        ['an item over 50', [{ header: 'h', field: 'bullets', item: 51 }], /item must be a number from 1 to 50/],
+        ['a fractional item', [{ header: 'h', field: 'bullets', item: 1.5 }], /item must be a number from 1 to 50/]
+    ];
+    for (const [name, input, error] of invalid) {
+        it(`rejects ${name}`, () => {
+            const result = parseItemSetupColumns(input);
+            assert.equal(result.columns, undefined);
+            assert.match(result.error, error);
+        });
+    }
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findMentions } = require('../lib/mentions');
+
+const ann = { name: 'Ann', type: 'user', userId: 'u1' };
+const annLee = { name: 'Ann Lee', type: 'reviewer' };
+const bob = { name: 'bob@example.com', type: 'user', userId: 'u2' };
+const dot = { name: 'A.B', type: 'reviewer' };
+const candidates = [ann, annLee, bob, dot, { name: '', type: 'reviewer' }];
+
+describe('findMentions', () => {
+    const cases = [
+        ['a name', 'Thanks @Ann, looks good', [ann]],
+        ['a name in another case', 'thanks @ann', [ann]],
+        ['a name with a space', 'cc @Ann Lee please', [annLee]],
+        ['an email address as the name', 'ping @bob@example.com.', [bob]],
+        ['a name at the end of the text', 'Over to you @Ann', [ann]],
+        ['a longer name at the end of the text', 'Over to you @Ann Lee', [annLee]],
+        ['a name followed by a line break', '@Ann\nsee above', [ann]],
+        ['both overlapping names', '@Ann Lee and @Ann', [annLee, ann]],
+        ['the same name twice, once', '@Ann @Ann', [ann]],
+        ['a name with regex characters, literally', '@AxB @A.B', [dot]],
+        ['no mentions', 'No one here, just Ann', []],
+        ['a name that runs into more letters', '@Annabel and @Ann-Marie', []],
+        ['a bare @', 'email me @ home', []]
+    ];
+    for (const [name, text, expected] of cases) {
+        it(`finds ${name}`, () => {
+            assert.deepEqual(findMentions(text, candidates), expected);
+        });
+    }
+
+    it('does not let a shorter name claim a longer match', () => {
+        assert.deepEqual(findMentions('@Ann Lee', [ann, annLee]), [annLee]);
+    });
+
+    it('passes extra candidate fields through', () => {
+        assert.equal(findMentions('@Ann', candidates)[0], ann);
+    });
+
+    it('copes with missing text', () => {
+        assert.deepEqual(findMentions(null, candidates), []);
+        assert.deepEqual(findMentions(undefined, []), []);
+    });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { hashPassword, verifyPassword } = require('../lib/passwords');
+const createJsonFileStorage = require('../lib/storage/json-file');
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// A hash in the current format but with the given scrypt parameters
+function scryptHash(password, { N, r, p }) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64, { N, r, p, maxmem: 256 * N * r });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+describe('hashPassword', () => {
+    it('writes versioned scrypt hashes with a fresh salt', async () => {
+        const first = await hashPassword('hunter2');
+        const second = await hashPassword('hunter2');
+        assert.match(first, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+        assert.notEqual(first, second);
+    });
+
+    it('verifies what it hashed without asking for a rehash', async () => {
+        const stored = await hashPassword('hunter2');
+        assert.deepEqual(await verifyPassword('hunter2', stored), { valid: true, needsRehash: false });
+    });
+});
+
+describe('verifyPassword', () => {
+    it('rejects a wrong password', async () => {
+        const stored = await hashPassword('hunter2');
+        assert.deepEqual(await verifyPassword('hunter3', stored), { valid: false, needsRehash: false });
+    });
+
+    it('accepts a legacy SHA-256 hash and asks for a rehash', async () => {
+        assert.deepEqual(await verifyPassword('hunter2', sha256('hunter2')), { valid: true, needsRehash: true });
+    });
+
+    it('rejects a wrong password against a legacy hash without asking for a rehash', async () => {
+        assert.deepEqual(await verifyPassword('hunter3', sha256('hunter2')), { valid: false, needsRehash: false });
+    });
+
+    it('asks for a rehash when the stored parameters are weaker', async () => {
+        for (const params of [{ N: 1024, r: 8, p: 1 }, { N: 16384, r: 4, p: 1 }, { N: 16384, r: 8, p: 2 }]) {
+            const stored = scryptHash('hunter2', params);
+            assert.deepEqual(await verifyPassword('hunter2', stored), { valid: true, needsRehash: true }, JSON.stringify(params));
+            assert.deepEqual(await verifyPassword('hunter3', stored), { valid: false, needsRehash: false }, JSON.stringify(params));
+        }
+    });
+
+    const malformed = [
+        ['an empty string', ''],
+        ['an unknown scheme', 'bcrypt$2b$10$abcdef'],
+        ['a truncated hash', 'scrypt$16384$8$1'],
+        ['a missing digest', 'scrypt$16384$8$1$c2FsdA==$'],
+        ['non-numeric parameters', 'scrypt$x$y$z$c2FsdA==$aGFzaA=='],
+        ['parameters scrypt rejects', 'scrypt$3$8$1$c2FsdA==$aGFzaA=='],
+        ['a digest of the wrong length', 'scrypt$16384$8$1$c2FsdA==$aGFzaA=='],
+        ['a short hex string', 'abcdef'],
+        ['upper-case hex', sha256('hunter2').toUpperCase()]
+    ];
+    for (const [name, stored] of malformed) {
+        it(`treats ${name} as invalid`, async () => {
+            assert.deepEqual(await verifyPassword('hunter2', stored), { valid: false, needsRehash: false });
+        });
+    }
+
+    it('treats missing values as invalid', async () => {
+        const stored = await hashPassword('hunter2');
+        assert.deepEqual(await verifyPassword(undefined, stored), { valid: false, needsRehash: false });
+        assert.deepEqual(await verifyPassword('hunter2', null), { valid: false, needsRehash: false });
+    });
+});
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+describe('POST /api/auth/login', () => {
+    const email = 'legacy@example.com';
+    let dir;
+    let databasePath;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdp-login-'));
+        databasePath = path.join(dir, 'db.json');
+        const storage = createJsonFileStorage({ filePath: databasePath });
+        await storage.insert('users', { id: 'legacy-user', email, password_hash: sha256('hunter2'), role: 'user', active: true });
+
+        const port = await freePort();
+        baseUrl = `http://localhost:${port}`;
+        server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: { PATH: process.env.PATH, PORT: String(port), DATABASE_PATH: databasePath, JWT_SECRET: 'test', MAIL_TRANSPORT: 'console' },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        await new Promise((resolve, reject) => {
+            server.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+            server.stdout.on('data', chunk => {
+                if (String(chunk).includes('Server running')) resolve();
+            });
+        });
+    });
+
+    after(() => {
+        server?.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function login(password) {
+        return fetch(`${baseUrl}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+    }
+
+    async function storedHash() {
+        const user = await createJsonFileStorage({ filePath: databasePath }).findOne('users', { email });
+        return user.password_hash;
+    }
+
+    it('leaves a legacy hash alone when the password is wrong', async () => {
+        const response = await login('hunter3');
+        assert.equal(response.status, 401);
+        assert.equal(await storedHash(), sha256('hunter2'));
+    });
+
+    it('upgrades a legacy hash to scrypt on a successful login', async () => {
+        const response = await login('hunter2');
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).success, true);
+
+        const upgraded = await storedHash();
+        assert.match(upgraded, /^scrypt\$/);
+        assert.deepEqual(await verifyPassword('hunter2', upgraded), { valid: true, needsRehash: false });
+    });
+
+    it('logs in with the upgraded hash', async () => {
+        const response = await login('hunter2');
+        assert.equal(response.status, 200);
+    });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, parseProductFile, createImageIndex, validateProduct } = require('../lib/product-import');
+
+describe('parseCsv', () => {
+    const cases = [
+        ['plain cells', 'a,b,c\n1,2,3', [['a', 'b', 'c'], ['1', '2', '3']]],
+        ['commas inside quotes', '"a, b",c', [['a, b', 'c']]],
+        ['doubled quotes', '"say ""hi""",x', [['say "hi"', 'x']]],
+        ['line breaks inside quotes', '"line 1\nline 2",x\ny,z', [['line 1\nline 2', 'x'], ['y', 'z']]],
+        ['CRLF inside quotes', '"line 1\r\nline 2",x', [['line 1\r\nline 2', 'x']]],
+        ['CRLF and CR row endings', 'a,b\r\nc,d\re,f', [['a', 'b'], ['c', 'd'], ['e', 'f']]],
+        ['empty cells', 'a,,c\n,,x', [['a', '', 'c'], ['', '', 'x']]],
+        ['an empty quoted cell', '"",b', [['', 'b']]],
+        ['a byte order mark', '\uFEFFtitle\nx', [['title'], ['x']]],
+        ['blank lines at the end', 'a,b\n1,2\n\n,\n\n', [['a', 'b'], ['1', '2']]],
+        ['no trailing newline', 'a\nb', [['a'], ['b']]]
+    ];
+    for (const [name, input, expected] of cases) {
+        it(`reads ${name}`, () => {
+            assert.deepEqual(parseCsv(input), expected);
+        });
+    }
+
+    it('rejects an unclosed quote', () => {
+        assert.throws(() => parseCsv('"a,b\nc,d'), /unclosed quote/);
+    });
+});
+
+describe('parseProductFile', () => {
+    it('maps CSV headers to fields regardless of case and punctuation', () => {
+        const { products } = parseProductFile('Title,Pack Size,pack_size,BRAND,Description,About\nT,2 pk,3 pk,B,D,A', 'csv');
+        // The last of two columns for the same field wins
+        assert.deepEqual(products, [{ title: 'T', packSize: '3 pk', brand: 'B', fullDescription: 'D', bullets: 'A' }]);
+    });
+
+    it('reports columns it does not know', () => {
+        const { ignoredColumns } = parseProductFile('title,Color,,Weight\nT,red,,1', 'csv');
+        assert.deepEqual(ignoredColumns, ['Color', 'Weight']);
+    });
+
+    it('keeps quoted multi-line list cells together', () => {
+        const { products } = parseProductFile('title,bullets\nT,"First\nSecond, with a comma"\nU,Only', 'csv');
+        assert.deepEqual(products, [
+            { title: 'T', bullets: 'First\nSecond, with a comma' },
+            { title: 'U', bullets: 'Only' }
+        ]);
+    });
+
+    it('leaves out cells missing from short rows', () => {
+        const { products } = parseProductFile('title,brand,price\nT', 'csv');
+        assert.deepEqual(products, [{ title: 'T' }]);
+    });
+
+    it('needs a title column and a header', () => {
+        assert.throws(() => parseProductFile('brand\nB', 'csv'), /"title" column/);
+        assert.throws(() => parseProductFile('\n\n', 'csv'), /empty/);
+    });
+
+    it('reads a JSON array or { products }', () => {
+        const list = [{ Title: 'T', packSize: '2', colour: 'red' }];
+        for (const text of [JSON.stringify(list), JSON.stringify({ products: list })]) {
+            assert.deepEqual(parseProductFile(text, 'json'), { products: [{ title: 'T', packSize: '2' }], ignoredColumns: ['colour'] });
+        }
+    });
+
+    it('keeps a slot for JSON entries that are not objects', () => {
+        const { products } = parseProductFile('[{"title":"T"}, null, ["x"], "y"]', 'json');
+        assert.deepEqual(products, [{ title: 'T' }, {}, {}, {}]);
+    });
+
+    it('rejects JSON it cannot use', () => {
+        assert.throws(() => parseProductFile('{', 'json'), /could not be parsed/);
+        assert.throws(() => parseProductFile('{"items":[]}', 'json'), /must be an array/);
+    });
+});
+
+describe('createImageIndex', () => {
+    const findImage = createImageIndex([
+        { name: 'front/hero.jpg' },
+        { name: 'back/hero.jpg' },
+        { name: 'Side.PNG' },
+        { name: 'label.webp' },
+        { name: 'spec.pdf' }
+    ]);
+
+    const cases = [
+        ['a full path', 'front/hero.jpg', { mimeType: 'image/jpeg' }],
+        ['a name without case', 'side.png', { mimeType: 'image/png' }],
+        ['a ./ prefix and backslashes', '.\\label.webp', { mimeType: 'image/webp' }],
+        ['a name that is in two folders', 'hero.jpg', { error: /more than one file/ }],
+        ['a missing file', 'missing.jpg', { error: /is not in the zip/ }],
+        ['a file that is not an image', 'spec.pdf', { error: /not a supported image/ }]
+    ];
+    for (const [name, reference, expected] of cases) {
+        it(`looks up ${name}`, () => {
+            const found = findImage(reference);
+            if (expected.error) {
+                assert.match(found.error, expected.error);
+            } else {
+                assert.equal(found.error, undefined);
+                assert.equal(found.mimeType, expected.mimeType);
+            }
+        });
+    }
+});
+
+describe('validateProduct', () => {
+    const findImage = createImageIndex([{ name: 'a.jpg' }, { name: 'b.png' }]);
+
+    it('trims text, splits lists and normalizes the price', () => {
+        const { data, errors } = validateProduct({
+            title: '  Honey  ',
+            price: '$ 7.97',
+            bullets: 'One\n Two |Three\n\n',
+            detailsBullets: ['  x ', '', 'y']
+        }, findImage);
+        assert.deepEqual(errors, []);
+        assert.equal(data.title, 'Honey');
+        assert.equal(data.price, '7.97');
+        assert.equal(data.brand, '');
+        assert.deepEqual(data.bullets, ['One', 'Two', 'Three']);
+        assert.deepEqual(data.detailsBullets, ['x', 'y']);
+    });
+
+    const invalid = [
+        ['a missing title', { price: '1.00' }, ['title is required']],
+        ['a blank title', { title: '   ' }, ['title is required']],
+        ['a price that is not a number', { title: 'T', price: 'about 5' }, ['price "about 5" is not a number like 7.97']],
+        ['a price with three decimals', { title: 'T', price: '1.999' }, ['price "1.999" is not a number like 7.97']],
+        ['a text field holding an object', { title: 'T', brand: { name: 'B' } }, ['brand must be text']],
+        ['a missing image', { title: 'T', images: 'a.jpg|c.jpg' }, ['Image "c.jpg" is not in the zip']]
+    ];
+    for (const [name, product, expected] of invalid) {
+        it(`reports ${name}`, () => {
+            assert.deepEqual(validateProduct(product, findImage).errors, expected);
+        });
+    }
+
+    it('collects every error in a row', () => {
+        const { errors } = validateProduct({ price: 'x', brand: ['B'], images: 'nope.jpg' }, findImage);
+        assert.equal(errors.length, 4);
+    });
+
+    it('resolves image references split by lines, | or ;', () => {
+        const { images, errors } = validateProduct({ title: 'T', images: 'a.jpg; b.png', brandImages: 'b.png' }, findImage);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(images.images.map(image => image.entry.name), ['a.jpg', 'b.png']);
+        assert.deepEqual(images.brandImages.map(image => image.mimeType), ['image/png']);
+    });
+
+    it('reports images when no zip was uploaded', () => {
+        assert.deepEqual(validateProduct({ title: 'T', images: 'a.jpg' }, null).errors,
+            ['images lists "a.jpg" but no images zip was uploaded']);
+    });
+});
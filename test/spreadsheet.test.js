@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCsv, toXlsx } = require('../lib/spreadsheet');
+const { readZip } = require('../lib/zip');
+const { parseCsv } = require('../lib/product-import');
+
+describe('toCsv', () => {
+    it('starts with a byte order mark and ends rows with CRLF', () => {
+        const csv = toCsv([['a', 'b'], ['1', '2']]);
+        assert.equal(csv, '\uFEFF"a","b"\r\n"1","2"\r\n');
+    });
+
+    const cells = [
+        ['a plain value', 'Honey', '"Honey"'],
+        ['a comma', 'a, b', '"a, b"'],
+        ['quotes', 'say "hi"', '"say ""hi"""'],
+        ['a line break', 'one\ntwo', '"one\ntwo"'],
+        ['null', null, '""'],
+        ['a number', 12.5, '"12.5"'],
+        ['a formula', '=SUM(A1:A2)', '"\'=SUM(A1:A2)"'],
+        ['a leading plus', '+1 555', '"\'+1 555"'],
+        ['a leading minus', '-5', '"\'-5"'],
+        ['a leading @', '@cmd', '"\'@cmd"']
+    ];
+    for (const [name, value, expected] of cells) {
+        it(`writes ${name}`, () => {
+            assert.equal(toCsv([[value]]), `\uFEFF${expected}\r\n`);
+        });
+    }
+
+    it('reads back through the import parser', () => {
+        const rows = [['title', 'bullets'], ['Honey, raw', 'One\nTwo "quoted"'], ['', 'x']];
+        assert.deepEqual(parseCsv(toCsv(rows)), rows);
+    });
+});
+
+describe('toXlsx', () => {
+    function parts(rows, sheetName) {
+        const entries = readZip(toXlsx(rows, sheetName));
+        return Object.fromEntries(entries.map(entry => [entry.name, entry.read().toString('utf8')]));
+    }
+
+    // { A1: 'text' } from the sheet's inline strings
+    function cellTexts(sheet) {
+        const texts = {};
+        for (const [, ref, body] of sheet.matchAll(/<c r="([A-Z]+\d+)"[^>]*><is><t[^>]*>([\s\S]*?)<\/t><\/is><\/c>/g)) {
+            texts[ref] = body;
+        }
+        return texts;
+    }
+
+    it('contains the parts of a single-sheet workbook', () => {
+        assert.deepEqual(Object.keys(parts([['a']])).sort(), [
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/workbook.xml',
+            'xl/worksheets/sheet1.xml'
+        ]);
+    });
+
+    it('writes every cell as an inline string, without a shared string table', () => {
+        const files = parts([['title', 'price'], ['Honey', 7.97]]);
+        assert.equal(files['xl/sharedStrings.xml'], undefined);
+        assert.doesNotMatch(files['[Content_Types].xml'], /sharedStrings/);
+        assert.doesNotMatch(files['xl/_rels/workbook.xml.rels'], /sharedStrings/);
+
+        const sheet = files['xl/worksheets/sheet1.xml'];
+        assert.equal((sheet.match(/<c /g) || []).length, 4);
+        assert.equal((sheet.match(/t="inlineStr"/g) || []).length, 4);
+        assert.deepEqual(cellTexts(sheet), { A1: 'title', B1: 'price', A2: 'Honey', B2: '7.97' });
+    });
+
+    it('bolds and freezes the header row', () => {
+        const sheet = parts([['h1', 'h2'], ['v1', 'v2']])['xl/worksheets/sheet1.xml'];
+        assert.match(sheet, /<c r="A1" t="inlineStr" s="1">/);
+        assert.match(sheet, /<c r="A2" t="inlineStr">/);
+        assert.match(sheet, /state="frozen"/);
+    });
+
+    it('escapes markup and drops characters XML cannot hold', () => {
+        const sheet = parts([['<b>Salt & "pepper"</b>\u0001\u000b', 'line 1\nline 2']])['xl/worksheets/sheet1.xml'];
+        assert.deepEqual(cellTexts(sheet), {
+            A1: '&lt;b&gt;Salt &amp; &quot;pepper&quot;&lt;/b&gt;',
+            B1: 'line 1\nline 2'
+        });
+    });
+
+    it('names columns past Z', () => {
+        const row = Array.from({ length: 28 }, (_, i) => `c${i}`);
+        const texts = cellTexts(parts([row])['xl/worksheets/sheet1.xml']);
+        assert.equal(texts.Z1, 'c25');
+        assert.equal(texts.AA1, 'c26');
+        assert.equal(texts.AB1, 'c27');
+    });
+
+    it('cleans the sheet name', () => {
+        const workbook = parts([['a']], 'Item setup: [food/drink] *with* a much longer name')['xl/workbook.xml'];
+        const [, name] = workbook.match(/<sheet name="([^"]*)"/);
+        assert.equal(name, 'Item setup   food drink   with ');
+        assert.equal(name.length, 31);
+        assert.match(parts([['a']], '')['xl/workbook.xml'], /<sheet name="Sheet1"/);
+    });
+});
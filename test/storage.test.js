@@ -0,0 +1,213 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const createJsonFileStorage = require('../lib/storage/json-file');
+
+// The table-level API every adapter exposes (see lib/storage/index.js),
+// checked against the JSON file adapter
+describe('storage adapter contract (json-file)', () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdp-storage-'));
+        storage = createJsonFileStorage({ filePath: path.join(dir, 'db.json') });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function seed() {
+        await storage.insert('items', { id: 'a', kind: 'fruit', name: 'apple', rank: 2 });
+        await storage.insert('items', { id: 'b', kind: 'fruit', name: 'banana', rank: 1 });
+        await storage.insert('items', { id: 'c', kind: 'veg', name: 'carrot', rank: 3 });
+    }
+
+    describe('find', () => {
+        it('filters by every column in where', async () => {
+            await seed();
+            const rows = await storage.find('items', { where: { kind: 'fruit', name: 'apple' } });
+            assert.deepEqual(rows.map(r => r.id), ['a']);
+        });
+
+        it('treats an array value as any of its items', async () => {
+            await seed();
+            const rows = await storage.find('items', { where: { id: ['a', 'c', 'missing'] } });
+            assert.deepEqual(rows.map(r => r.id).sort(), ['a', 'c']);
+        });
+
+        it('matches query-string values against stored numbers', async () => {
+            await seed();
+            const rows = await storage.find('items', { where: { rank: '3' } });
+            assert.deepEqual(rows.map(r => r.id), ['c']);
+        });
+
+        it('matches null against missing columns', async () => {
+            await seed();
+            await storage.insert('items', { id: 'd', kind: 'veg', name: 'leek', rank: 4, deleted_at: '2024-01-01' });
+            const rows = await storage.find('items', { where: { kind: 'veg', deleted_at: null } });
+            assert.deepEqual(rows.map(r => r.id), ['c']);
+        });
+
+        it('orders, limits and picks columns', async () => {
+            await seed();
+            const rows = await storage.find('items', { orderBy: 'rank', ascending: false, limit: 2, columns: 'id, rank' });
+            assert.deepEqual(rows, [{ id: 'c', rank: 3 }, { id: 'a', rank: 2 }]);
+        });
+
+        it('returns an empty list for a table that was never written', async () => {
+            assert.deepEqual(await storage.find('nothing'), []);
+        });
+
+        it('returns copies that do not change the stored rows', async () => {
+            await seed();
+            const [row] = await storage.find('items', { where: { id: 'a' } });
+            row.name = 'changed';
+            assert.equal((await storage.findOne('items', { id: 'a' })).name, 'apple');
+        });
+    });
+
+    describe('findOne and count', () => {
+        it('returns the first match or null', async () => {
+            await seed();
+            assert.equal((await storage.findOne('items', { kind: 'veg' })).id, 'c');
+            assert.equal(await storage.findOne('items', { kind: 'meat' }), null);
+        });
+
+        it('picks columns, filling missing ones with null', async () => {
+            await seed();
+            assert.deepEqual(await storage.findOne('items', { id: 'b' }, { columns: 'name, colour' }), { name: 'banana', colour: null });
+        });
+
+        it('counts matching rows', async () => {
+            await seed();
+            assert.equal(await storage.count('items', { kind: 'fruit' }), 2);
+            assert.equal(await storage.count('items', { kind: 'meat' }), 0);
+        });
+    });
+
+    describe('insert', () => {
+        it('adds timestamps and returns the stored row', async () => {
+            const row = await storage.insert('items', { id: 'a', name: 'apple' });
+            assert.equal(row.name, 'apple');
+            assert.ok(row.created_at);
+            assert.equal(row.created_at, row.updated_at);
+        });
+
+        it('persists to the file', async () => {
+            await seed();
+            const reopened = createJsonFileStorage({ filePath: path.join(dir, 'db.json') });
+            assert.equal(await reopened.count('items', {}), 3);
+        });
+    });
+
+    describe('update', () => {
+        it('patches every matching row and returns them', async () => {
+            await seed();
+            const updated = await storage.update('items', { kind: 'fruit' }, { ripe: true });
+            assert.deepEqual(updated.map(r => r.id).sort(), ['a', 'b']);
+            assert.equal(await storage.count('items', { ripe: true }), 2);
+            assert.equal((await storage.findOne('items', { id: 'c' })).ripe, undefined);
+        });
+
+        it('returns an empty list when nothing matches', async () => {
+            await seed();
+            assert.deepEqual(await storage.update('items', { id: 'missing' }, { ripe: true }), []);
+        });
+
+        it('refuses to run without a filter', async () => {
+            await seed();
+            await assert.rejects(storage.update('items', {}, { ripe: true }), /unfiltered/);
+            await assert.rejects(storage.update('items', null, { ripe: true }), /unfiltered/);
+        });
+    });
+
+    describe('remove', () => {
+        it('deletes only the matching rows', async () => {
+            await seed();
+            await storage.remove('items', { id: ['a', 'b'] });
+            assert.deepEqual((await storage.find('items')).map(r => r.id), ['c']);
+        });
+
+        it('refuses to run without a filter', async () => {
+            await seed();
+            await assert.rejects(storage.remove('items', {}), /unfiltered/);
+            assert.equal(await storage.count('items', {}), 3);
+        });
+    });
+
+    describe('insertIgnore', () => {
+        it('inserts a new row', async () => {
+            const row = await storage.insertIgnore('items', { id: 'a', name: 'apple' });
+            assert.equal(row.name, 'apple');
+            assert.equal(await storage.count('items', {}), 1);
+        });
+
+        it('keeps and returns the stored row when the key exists', async () => {
+            await storage.insert('items', { id: 'a', name: 'apple' });
+            const row = await storage.insertIgnore('items', { id: 'a', name: 'other' });
+            assert.equal(row.name, 'apple');
+            assert.equal(await storage.count('items', {}), 1);
+        });
+
+        it('checks a different key column when given one', async () => {
+            await storage.insert('items', { id: 'a', sku: 'S1', name: 'apple' });
+            await storage.insertIgnore('items', { id: 'b', sku: 'S1', name: 'other' }, { key: 'sku' });
+            await storage.insertIgnore('items', { id: 'c', sku: 'S2', name: 'carrot' }, { key: 'sku' });
+            assert.deepEqual((await storage.find('items')).map(r => r.id), ['a', 'c']);
+        });
+
+        it('stores one row for concurrent calls with the same key', async () => {
+            const rows = await Promise.all(Array.from({ length: 5 }, (_, i) =>
+                storage.insertIgnore('items', { id: 'a', name: `apple ${i}` })));
+            assert.equal(await storage.count('items', {}), 1);
+            assert.equal(new Set(rows.map(r => r.name)).size, 1);
+        });
+    });
+
+    describe('increment', () => {
+        it('adds one and returns the updated row', async () => {
+            await storage.insert('links', { id: 'l', view_count: 2 });
+            const row = await storage.increment('links', { id: 'l' }, 'view_count');
+            assert.equal(row.view_count, 3);
+            assert.equal((await storage.findOne('links', { id: 'l' })).view_count, 3);
+        });
+
+        it('starts a missing column at zero', async () => {
+            await storage.insert('links', { id: 'l' });
+            assert.equal((await storage.increment('links', { id: 'l' }, 'view_count')).view_count, 1);
+        });
+
+        it('returns null when no row matches', async () => {
+            assert.equal(await storage.increment('links', { id: 'missing' }, 'view_count'), null);
+        });
+
+        it('stops at max', async () => {
+            await storage.insert('links', { id: 'l', view_count: 1 });
+            assert.equal((await storage.increment('links', { id: 'l' }, 'view_count', { max: 2 })).view_count, 2);
+            assert.equal(await storage.increment('links', { id: 'l' }, 'view_count', { max: 2 }), null);
+            assert.equal((await storage.findOne('links', { id: 'l' })).view_count, 2);
+        });
+
+        it('treats a null max as no limit', async () => {
+            await storage.insert('links', { id: 'l', view_count: 100 });
+            assert.equal((await storage.increment('links', { id: 'l' }, 'view_count', { max: null })).view_count, 101);
+        });
+
+        it('never goes past max under concurrent calls', async () => {
+            await storage.insert('links', { id: 'l', view_count: 0 });
+            const results = await Promise.all(Array.from({ length: 6 }, () =>
+                storage.increment('links', { id: 'l' }, 'view_count', { max: 3 })));
+            assert.equal(results.filter(Boolean).length, 3);
+            assert.equal((await storage.findOne('links', { id: 'l' })).view_count, 3);
+        });
+
+        it('refuses to run without a filter', async () => {
+            await assert.rejects(storage.increment('links', {}, 'view_count'), /unfiltered/);
+        });
+    });
+});
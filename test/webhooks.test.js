@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { signPayload, nextRetryDelay, checkWebhookUrl, RETRY_DELAYS_MS } = require('../lib/webhooks');
+
+describe('signPayload', () => {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+        // openssl dgst -sha256 -hmac whsec_test <<< '1700000000.{"event":"test"}' (without the newline)
+        assert.equal(
+            signPayload('whsec_test', '1700000000', '{"event":"test"}'),
+            '21d2d3606ebbdbf9307ee15e83085df2b83c83dd87cc2e6d2ea6b1cb61afdc3c'
+        );
+    });
+
+    it('changes with the secret, timestamp and body', () => {
+        const signature = signPayload('whsec_test', '1700000000', '{}');
+        assert.notEqual(signPayload('whsec_other', '1700000000', '{}'), signature);
+        assert.notEqual(signPayload('whsec_test', '1700000001', '{}'), signature);
+        assert.notEqual(signPayload('whsec_test', '1700000000', '{ }'), signature);
+    });
+});
+
+describe('nextRetryDelay', () => {
+    const cases = [
+        [1, 60 * 1000],
+        [2, 5 * 60 * 1000],
+        [3, 30 * 60 * 1000],
+        [4, 2 * 60 * 60 * 1000],
+        [5, 12 * 60 * 60 * 1000],
+        [6, null],
+        [0, null]
+    ];
+    for (const [attempts, expected] of cases) {
+        it(`waits ${expected === null ? 'no more' : `${expected / 1000}s`} after ${attempts} failed attempts`, () => {
+            assert.equal(nextRetryDelay(attempts), expected);
+        });
+    }
+
+    it('gives up after the last retry', () => {
+        assert.equal(nextRetryDelay(RETRY_DELAYS_MS.length + 1), null);
+    });
+});
+
+describe('checkWebhookUrl', () => {
+    const refused = [
+        ['loopback', 'http://127.0.0.1/hook'],
+        ['loopback written as a number', 'http://2130706433/hook'],
+        ['the unspecified address', 'http://0.0.0.0/'],
+        ['a private network', 'https://10.1.2.3/hook'],
+        ['another private network', 'https://192.168.0.10/hook'],
+        ['cloud metadata', 'http://169.254.169.254/latest/meta-data/'],
+        ['IPv6 loopback', 'http://[::1]:8080/'],
+        ['an IPv4-mapped private address', 'http://[::ffff:10.0.0.1]/'],
+        ['an IPv6 unique local address', 'http://[fd00:ec2::254]/'],
+        ['an IPv6 link-local address', 'http://[fe80::1]/']
+    ];
+    for (const [name, url] of refused) {
+        it(`refuses ${name}`, async () => {
+            assert.match(await checkWebhookUrl(url), /public address/);
+        });
+    }
+
+    const invalid = [
+        ['text that is not a URL', 'not a url'],
+        ['another protocol', 'ftp://8.8.8.8/hook'],
+        ['a file URL', 'file:///etc/passwd']
+    ];
+    for (const [name, url] of invalid) {
+        it(`rejects ${name}`, async () => {
+            assert.match(await checkWebhookUrl(url), /must start with http/);
+        });
+    }
+
+    it('allows a public address', async () => {
+        assert.equal(await checkWebhookUrl('https://8.8.8.8/hook'), null);
+        assert.equal(await checkWebhookUrl('http://[2606:4700:4700::1111]/hook'), null);
+    });
+});
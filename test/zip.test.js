@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { readZip, createZip } = require('../lib/zip');
+
+function hasCommand(name) {
+    return !spawnSync(name, ['-v'], { stdio: 'ignore' }).error;
+}
+
+function contents(entries) {
+    return Object.fromEntries(entries.map(entry => [entry.name, entry.read()]));
+}
+
+describe('createZip and readZip', () => {
+    const files = [
+        { name: 'hello.txt', data: 'Hello, zip!' },
+        { name: 'folder/ünïcode näme.txt', data: 'Grüße' },
+        { name: 'empty.txt', data: '' },
+        { name: 'image.bin', data: crypto.randomBytes(4096) },
+        { name: 'repeated.txt', data: 'abc'.repeat(10000) }
+    ];
+
+    it('round-trips names and contents', () => {
+        const entries = readZip(createZip(files));
+        assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.name));
+        const read = contents(entries);
+        for (const file of files) {
+            assert.deepEqual(read[file.name], Buffer.from(file.data), file.name);
+        }
+    });
+
+    it('reports uncompressed sizes', () => {
+        const entries = readZip(createZip(files));
+        assert.deepEqual(entries.map(entry => entry.size), files.map(file => Buffer.byteLength(file.data)));
+    });
+
+    it('compresses entries', () => {
+        const archive = createZip([{ name: 'repeated.txt', data: 'abc'.repeat(10000) }]);
+        assert.ok(archive.length < 1000);
+    });
+
+    it('writes the CRC-32 of each entry to both headers', () => {
+        // The standard check value: CRC-32 of "123456789"
+        const archive = createZip([{ name: 'check.txt', data: '123456789' }]);
+        const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        assert.equal(archive.readUInt32LE(14), 0xcbf43926);
+        assert.equal(archive.readUInt32LE(central + 16), 0xcbf43926);
+    });
+
+    it('builds an empty archive', () => {
+        assert.deepEqual(readZip(createZip([])), []);
+    });
+
+    it('leaves out folders and macOS metadata', () => {
+        const archive = createZip([
+            { name: 'photos/', data: '' },
+            { name: 'photos/a.jpg', data: 'a' },
+            { name: '__MACOSX/photos/._a.jpg', data: 'x' },
+            { name: 'photos/._b.jpg', data: 'x' },
+            { name: 'photos/.DS_Store', data: 'x' }
+        ]);
+        assert.deepEqual(readZip(archive).map(entry => entry.name), ['photos/a.jpg']);
+    });
+
+    it('refuses entries over maxEntrySize', () => {
+        const [entry] = readZip(createZip([{ name: 'big.txt', data: 'x'.repeat(2048) }]), { maxEntrySize: 1024 });
+        assert.throws(() => entry.read(), /too large/);
+    });
+
+    it('rejects data that is not a zip', () => {
+        assert.throws(() => readZip(Buffer.from('not a zip at all, just some text')), /Not a zip file/);
+        assert.throws(() => readZip(Buffer.alloc(0)), /Not a zip file/);
+    });
+
+    it('rejects a damaged central directory', () => {
+        const archive = createZip(files);
+        const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        archive.writeUInt32LE(0, central);
+        assert.throws(() => readZip(archive), /damaged/);
+    });
+
+    describe('with the zip tools', () => {
+        let dir;
+
+        before(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdp-zip-'));
+        });
+
+        after(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('writes archives that unzip -t accepts', { skip: !hasCommand('unzip') && 'unzip is not installed' }, () => {
+            const file = path.join(dir, 'written.zip');
+            fs.writeFileSync(file, createZip(files));
+            const result = spawnSync('unzip', ['-t', file], { encoding: 'utf8' });
+            assert.equal(result.status, 0, result.stdout + result.stderr);
+            assert.match(result.stdout, /No errors detected/);
+        });
+
+        it('reads stored and deflated entries written by zip', { skip: !hasCommand('zip') && 'zip is not installed' }, () => {
+            const source = path.join(dir, 'source');
+            fs.mkdirSync(path.join(source, 'images'), { recursive: true });
+            fs.writeFileSync(path.join(source, 'images', 'a.txt'), 'stored '.repeat(100));
+            fs.writeFileSync(path.join(source, 'b.txt'), 'deflated '.repeat(100));
+
+            const stored = path.join(dir, 'stored.zip');
+            const deflated = path.join(dir, 'deflated.zip');
+            assert.equal(spawnSync('zip', ['-q', '-0', '-r', stored, 'images'], { cwd: source }).status, 0);
+            assert.equal(spawnSync('zip', ['-q', '-9', '-r', deflated, 'b.txt'], { cwd: source }).status, 0);
+
+            assert.deepEqual(contents(readZip(fs.readFileSync(stored))), { 'images/a.txt': Buffer.from('stored '.repeat(100)) });
+            assert.deepEqual(contents(readZip(fs.readFileSync(deflated))), { 'b.txt': Buffer.from('deflated '.repeat(100)) });
+        });
+    });
+});